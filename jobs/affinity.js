@@ -0,0 +1,29 @@
+const FurnitureAffinity = require('../models/FurnitureAffinity');
+
+const INTERVAL = 24 * 60 * 60 * 1000; // daily
+
+// "Placed together" data changes slowly, so it is mined from design files
+// and templates once a day rather than on every save
+const refreshAffinity = async () => {
+  try {
+    const count = await FurnitureAffinity.rebuild();
+    console.log(`🛋️  Updated placed-together data for ${count} furniture item(s)`);
+  } catch (error) {
+    console.error('Affinity job error:', error);
+  }
+};
+
+// Skip the startup run when the data is less than a day old
+const startAffinityJob = async () => {
+  const latest = await FurnitureAffinity.findOne().sort({ computedAt: -1 }).select('computedAt').lean()
+    .catch(() => null);
+  if (!latest || Date.now() - latest.computedAt.getTime() > INTERVAL) {
+    refreshAffinity();
+  }
+  return setInterval(refreshAffinity, INTERVAL).unref();
+};
+
+module.exports = {
+  refreshAffinity,
+  startAffinityJob
+};
@@ -0,0 +1,99 @@
+const Furniture = require('../models/Furniture');
+const Template = require('../models/Template');
+const { buildSuggestIndex } = require('../utils/suggest');
+
+const INTERVAL = 60 * 1000; // check for catalog changes every minute
+
+let current = null; // { index, signature }
+let pending = null;
+
+// Cheap fingerprint of the catalog: document counts and latest updates
+const getSignature = async () => {
+  const parts = await Promise.all([Furniture, Template].flatMap(Model => [
+    Model.estimatedDocumentCount(),
+    Model.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean()
+      .then(doc => (doc && doc.updatedAt ? doc.updatedAt.getTime() : 0))
+  ]));
+  return parts.join(':');
+};
+
+// Suggestion entries for active furniture, their brands and tags, and
+// published templates. Brands and tags rank by the popularity of their items.
+const loadEntries = async () => {
+  const [furniture, templates] = await Promise.all([
+    Furniture.find({ isActive: true }).select('name brand category tags popularity images').lean(),
+    Template.find({ isActive: true }).select('name category style tags popularity requirements.subscription').lean()
+  ]);
+
+  const groups = new Map();
+  const addToGroup = (type, text, popularity) => {
+    const key = `${type}:${text.toLowerCase()}`;
+    const group = groups.get(key) || { type, text, popularity: 0, count: 0 };
+    group.popularity += popularity;
+    group.count += 1;
+    groups.set(key, group);
+  };
+
+  const entries = furniture.map(item => {
+    if (item.brand) addToGroup('brand', item.brand, item.popularity || 0);
+    (item.tags || []).forEach(tag => addToGroup('tag', tag, item.popularity || 0));
+    const image = (item.images || []).find(img => img.isPrimary) || (item.images || [])[0];
+    return {
+      type: 'furniture',
+      text: item.name,
+      popularity: item.popularity || 0,
+      data: { id: item._id, category: item.category, brand: item.brand || null, image: image ? image.url : null }
+    };
+  });
+
+  templates.forEach(template => {
+    (template.tags || []).forEach(tag => addToGroup('tag', tag, template.popularity || 0));
+    entries.push({
+      type: 'template',
+      text: template.name,
+      popularity: template.popularity || 0,
+      data: {
+        id: template._id,
+        category: template.category,
+        style: template.style,
+        subscription: template.requirements ? template.requirements.subscription : 'free'
+      }
+    });
+  });
+
+  groups.forEach(({ type, text, popularity, count }) => {
+    entries.push({ type, text, popularity, data: { count } });
+  });
+  return entries;
+};
+
+// Rebuild the index when the catalog has changed since the last build
+const refreshSearchIndex = async () => {
+  const signature = await getSignature();
+  if (current && current.signature === signature) return current.index;
+  current = { index: buildSuggestIndex(await loadEntries()), signature };
+  return current.index;
+};
+
+// Concurrent callers share one rebuild
+const rebuild = () => {
+  if (!pending) {
+    pending = refreshSearchIndex().finally(() => { pending = null; });
+  }
+  return pending;
+};
+
+// Current index, building it on first use
+const getSearchIndex = async () => (current ? current.index : rebuild());
+
+const startSearchIndexJob = () => {
+  const refresh = () => rebuild().catch(error => console.error('Search index job error:', error));
+  refresh();
+  return setInterval(refresh, INTERVAL).unref();
+};
+
+module.exports = {
+  getSearchIndex,
+  refreshSearchIndex,
+  startSearchIndexJob
+};
@@ -0,0 +1,26 @@
+const Template = require('../models/Template');
+
+const INTERVAL = 60 * 60 * 1000; // hourly
+
+// Sale windows open and close without any write to Furniture, so templates
+// whose prices have passed a sale boundary are re-priced on a timer
+const refreshExpiredTemplateCosts = async () => {
+  try {
+    const count = await Template.refreshCosts({ 'metadata.costValidUntil': { $lte: new Date() } });
+    if (count > 0) {
+      console.log(`💲 Re-priced ${count} template(s) after sale changes`);
+    }
+  } catch (error) {
+    console.error('Template cost job error:', error);
+  }
+};
+
+const startTemplateCostJob = () => {
+  refreshExpiredTemplateCosts();
+  return setInterval(refreshExpiredTemplateCosts, INTERVAL).unref();
+};
+
+module.exports = {
+  refreshExpiredTemplateCosts,
+  startTemplateCostJob
+};
@@ -0,0 +1,23 @@
+const FurnitureTrend = require('../models/FurnitureTrend');
+
+const INTERVAL = 15 * 60 * 1000; // every 15 minutes
+
+// Trending scores decay continuously, so the rollups behind
+// GET /api/furniture/trending are rebuilt on a timer
+const refreshTrending = async () => {
+  try {
+    await FurnitureTrend.rebuildAll();
+  } catch (error) {
+    console.error('Trending job error:', error);
+  }
+};
+
+const startTrendingJob = () => {
+  refreshTrending();
+  return setInterval(refreshTrending, INTERVAL).unref();
+};
+
+module.exports = {
+  refreshTrending,
+  startTrendingJob
+};
@@ -106,8 +106,36 @@ const requireSubscription = (requiredPlan) => {
   };
 };
 
+// Access levels for shared resources, lowest first
+const roleHierarchy = { viewer: 1, commenter: 2, editor: 3, owner: 4 };
+
+// Work out the user's role on a resource: owner, collaborator role, or null
+const getResourceRole = (resource, user, ownerField = 'owner') => {
+  if (!resource || !user) return null;
+
+  const userId = user._id.toString();
+  const owner = resource[ownerField];
+  if (owner && (owner._id || owner).toString() === userId) {
+    return 'owner';
+  }
+
+  const collaborator = (resource.collaborators || []).find(
+    collab => collab.user && (collab.user._id || collab.user).toString() === userId
+  );
+  if (collaborator) {
+    return collaborator.role || 'viewer';
+  }
+
+  return null;
+};
+
 // Check if user owns resource or is collaborator
-const requireOwnershipOrCollaboration = (resourceModel, resourceIdParam = 'id') => {
+// Options: ownerField - path holding the owner id (default 'owner')
+//          minRole    - lowest role allowed through (viewer/commenter/editor/owner)
+const requireOwnershipOrCollaboration = (resourceModel, resourceIdParam = 'id', options = {}) => {
+  const { ownerField = 'owner', minRole = null } = options;
+  const requiredLevel = minRole ? roleHierarchy[minRole] : roleHierarchy.viewer;
+
   return async (req, res, next) => {
     try {
       if (!req.user) {
@@ -127,35 +155,35 @@ const requireOwnershipOrCollaboration = (resourceModel, resourceIdParam = 'id')
         });
       }
 
-      // Check if user owns the resource
-      if (resource.owner && resource.owner.toString() === req.user._id.toString()) {
+      // Check if user owns the resource or is a collaborator with a high enough role
+      const role = getResourceRole(resource, req.user, ownerField);
+      if (role && roleHierarchy[role] >= requiredLevel) {
         req.resource = resource;
+        req.accessRole = role;
         return next();
       }
 
-      // Check if user is a collaborator (if resource has collaborators)
-      if (resource.collaborators && resource.collaborators.length > 0) {
-        const isCollaborator = resource.collaborators.some(
-          collab => collab.user.toString() === req.user._id.toString()
-        );
-        
-        if (isCollaborator) {
-          req.resource = resource;
-          return next();
-        }
-      }
-
       // Check if resource is public (for read-only access)
-      if (req.method === 'GET' && resource.isPublic) {
+      if (req.method === 'GET' && resource.isPublic && requiredLevel <= roleHierarchy.viewer) {
         req.resource = resource;
+        req.accessRole = role || 'viewer';
         return next();
       }
 
       return res.status(403).json({ 
         success: false, 
-        message: 'Access denied' 
+        message: role ? `${minRole} access required` : 'Access denied',
+        requiredRole: minRole,
+        currentRole: role
       });
     } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Resource not found' 
+        });
+      }
+
       console.error('Ownership check error:', error);
       res.status(500).json({ 
         success: false, 
@@ -205,6 +233,8 @@ module.exports = {
   optionalAuth,
   requireSubscription,
   requireOwnershipOrCollaboration,
+  getResourceRole,
+  roleHierarchy,
   createRateLimit,
   requireAdmin
 };
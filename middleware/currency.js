@@ -0,0 +1,53 @@
+const { query } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const { BASE_CURRENCY, CURRENCIES } = require('../utils/currency');
+
+// Validation for the `currency` query param of priced responses
+const currencyRules = [
+  query('currency')
+    .optional()
+    .isIn(CURRENCIES)
+    .withMessage(`Currency must be one of: ${CURRENCIES.join(', ')}`)
+];
+
+// Load the exchange rates for the requested currency into
+// req.conversion = { base, currency, rateDate, rates }. Without a `currency`
+// param, a signed-in user's preferred currency is used (USD while it has no
+// rate), then USD. Runs after currencyRules; an invalid currency is left for
+// the route to report.
+const loadConversion = async (req, res, next) => {
+  const requested = req.query.currency;
+  const currency = requested || req.user?.preferences?.currency || BASE_CURRENCY;
+  if (!CURRENCIES.includes(currency)) return next();
+
+  try {
+    let conversion = await ExchangeRate.getConversion(currency);
+    if (!conversion.rates[currency] && !requested) {
+      conversion = { ...conversion, currency: BASE_CURRENCY };
+    }
+    if (!conversion.rates[conversion.currency]) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate for ${conversion.currency} has been set`
+      });
+    }
+
+    req.conversion = conversion;
+    next();
+  } catch (error) {
+    console.error('Exchange rate middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading exchange rates'
+    });
+  }
+};
+
+// The part of req.conversion to report in a response
+const describeConversion = ({ base, currency, rateDate }) => ({ base, currency, rateDate });
+
+module.exports = {
+  currencyRules,
+  loadConversion,
+  describeConversion
+};
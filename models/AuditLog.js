@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Record of an admin change to a catalog entity. Entries are never edited.
+const AuditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, immutable: true },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'deactivate', 'reactivate', 'feature', 'unfeature'],
+    required: true,
+    immutable: true,
+  },
+  entityType: { type: String, enum: ['Furniture'], required: true, immutable: true },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true, immutable: true },
+  // One entry per changed leaf path, e.g. `pricing.sale`
+  changes: {
+    type: [{
+      _id: false,
+      path: { type: String, required: true },
+      from: { type: mongoose.Schema.Types.Mixed, default: null },
+      to: { type: mongoose.Schema.Types.Mixed, default: null },
+    }],
+    immutable: true,
+  },
+  // How the change was made: a single admin request or a bulk import
+  source: { type: String, enum: ['api', 'import'], default: 'api', immutable: true },
+  ip: { type: String, default: null, immutable: true },
+  userAgent: { type: String, default: null, immutable: true },
+  createdAt: { type: Date, default: Date.now, immutable: true },
+});
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Record a change made by the authenticated user of `req`
+AuditLogSchema.statics.record = function(req, action, entity, changes = [], source = 'api') {
+  return this.create({
+    actor: req.user._id,
+    action,
+    entityType: entity.constructor.modelName,
+    entityId: entity._id,
+    changes,
+    source,
+    ip: req.ip || null,
+    userAgent: req.get('User-Agent') || null,
+  });
+};
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
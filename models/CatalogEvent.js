@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = ['view', 'add-to-design', 'template-use'];
+const RETENTION_DAYS = 90;
+
+// A catalog interaction, stored in a time-series collection: a furniture
+// page view, an item placed in a design file, or an item brought in by a
+// template. Events are never updated; they expire after RETENTION_DAYS.
+const CatalogEventSchema = new mongoose.Schema({
+  timestamp: { type: Date, default: Date.now, required: true },
+  meta: {
+    furniture: { type: mongoose.Schema.Types.ObjectId, ref: 'Furniture', required: true },
+    type: { type: String, enum: EVENT_TYPES, required: true },
+  },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  designFile: { type: mongoose.Schema.Types.ObjectId, ref: 'DesignFile', default: null },
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'Template', default: null },
+}, {
+  timeseries: { timeField: 'timestamp', metaField: 'meta', granularity: 'minutes' },
+  expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60,
+  versionKey: false,
+});
+
+CatalogEventSchema.index({ 'meta.furniture': 1, timestamp: -1 });
+
+// Record one event per furniture id (repeats count as separate events).
+// Tracking must never fail the request that triggered it, so errors are
+// logged rather than thrown.
+CatalogEventSchema.statics.record = async function(type, furnitureIds, { user = null, designFile = null, template = null } = {}) {
+  const ids = furnitureIds.filter(id => mongoose.isValidObjectId(id));
+  if (ids.length === 0) return;
+  try {
+    const timestamp = new Date();
+    await this.insertMany(ids.map(furniture => ({
+      timestamp,
+      meta: { furniture, type },
+      user: user || null,
+      designFile,
+      template,
+    })), { ordered: false, lean: true });
+  } catch (error) {
+    console.error('Catalog event error:', error);
+  }
+};
+
+// Daily counts of each event type for one item over the last `days` days
+CatalogEventSchema.statics.dailyStats = async function(furnitureId, days) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const rows = await this.aggregate([
+    { $match: { 'meta.furniture': new mongoose.Types.ObjectId(furnitureId), timestamp: { $gte: since } } },
+    {
+      $group: {
+        _id: { day: { $dateTrunc: { date: '$timestamp', unit: 'day' } }, type: '$meta.type' },
+        count: { $sum: 1 },
+        users: { $addToSet: '$user' },
+      },
+    },
+    { $sort: { '_id.day': 1 } },
+  ]);
+
+  const emptyCounts = () => EVENT_TYPES.reduce((counts, type) => ({ ...counts, [type]: 0 }), {});
+  const byDay = new Map();
+  const totals = emptyCounts();
+  rows.forEach(({ _id, count, users }) => {
+    const key = _id.day.toISOString().slice(0, 10);
+    if (!byDay.has(key)) byDay.set(key, { date: key, ...emptyCounts(), uniqueViewers: 0 });
+    const day = byDay.get(key);
+    day[_id.type] = count;
+    totals[_id.type] += count;
+    if (_id.type === 'view') day.uniqueViewers = users.filter(Boolean).length;
+  });
+
+  return { since, totals, days: [...byDay.values()] };
+};
+
+module.exports = mongoose.model('CatalogEvent', CatalogEventSchema);
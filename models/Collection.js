@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const MAX_ITEMS = 200;
+
+// A user's named wishlist or moodboard of catalog furniture and templates.
+// Items are kept in display order. A public collection can be viewed by
+// anyone holding its share token.
+const CollectionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: [true, 'Name is required'], trim: true, maxlength: [100, 'Name cannot exceed 100 characters'] },
+  description: { type: String, trim: true, maxlength: [500, 'Description cannot exceed 500 characters'] },
+  isPublic: { type: Boolean, default: false },
+  // Set the first time the collection is made public; rotating it revokes
+  // the old link
+  shareToken: { type: String, default: null },
+  items: [{
+    kind: { type: String, enum: ['furniture', 'template'], required: true },
+    furniture: { type: mongoose.Schema.Types.ObjectId, ref: 'Furniture', default: null },
+    template: { type: mongoose.Schema.Types.ObjectId, ref: 'Template', default: null },
+    note: { type: String, trim: true, maxlength: [500, 'Note cannot exceed 500 characters'] },
+    addedAt: { type: Date, default: Date.now },
+  }],
+}, {
+  timestamps: true,
+});
+
+CollectionSchema.index({ user: 1, updatedAt: -1 });
+CollectionSchema.index({ shareToken: 1 }, { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } });
+
+CollectionSchema.pre('validate', function(next) {
+  if (this.items.length > MAX_ITEMS) {
+    this.invalidate('items', `A collection cannot hold more than ${MAX_ITEMS} items`);
+  }
+  this.items.forEach((item, index) => {
+    if (!item[item.kind]) {
+      this.invalidate(`items.${index}.${item.kind}`, `A ${item.kind} item needs a ${item.kind} id`);
+    }
+  });
+  if (this.isPublic && !this.shareToken) this.rotateShareToken();
+  next();
+});
+
+CollectionSchema.methods.rotateShareToken = function() {
+  this.shareToken = crypto.randomBytes(16).toString('hex');
+  return this.shareToken;
+};
+
+// The item holding this furniture or template, if any
+CollectionSchema.methods.findItem = function(kind, id) {
+  return this.items.find(item => item.kind === kind && item[kind] && item[kind].equals(id));
+};
+
+module.exports = mongoose.model('Collection', CollectionSchema);
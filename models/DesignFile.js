@@ -1,19 +1,81 @@
  const mongoose = require('mongoose');
+ const { migrateScene } = require('../utils/sceneSchema');
 
  const DesignFileSchema = new mongoose.Schema({
    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
    name: { type: String, required: true, trim: true },
    description: { type: String, trim: true },
    sceneData: { type: Object, required: true },
+   revision: { type: Number, default: 1, min: 1 },
+   collaborators: [{
+     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+     role: { type: String, enum: ['viewer', 'commenter', 'editor'], default: 'viewer' },
+     addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+     addedAt: { type: Date, default: Date.now },
+   }],
+   isPublic: { type: Boolean, default: false },
+   shareLinks: [{
+     label: { type: String, trim: true, maxlength: 100 },
+     passwordHash: { type: String, default: null },
+     expiresAt: { type: Date, default: null },
+     views: { type: Number, default: 0, min: 0 },
+     lastViewedAt: { type: Date, default: null },
+     revokedAt: { type: Date, default: null },
+     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+     createdAt: { type: Date, default: Date.now },
+   }],
    createdAt: { type: Date, default: Date.now },
    updatedAt: { type: Date, default: Date.now },
  });
 
+ DesignFileSchema.index({ user: 1, updatedAt: -1 });
+ DesignFileSchema.index({ 'collaborators.user': 1 });
+
+ // Scenes saved under an older schema version are migrated when loaded.
+ // The stored copy is upgraded the next time the scene itself is saved.
+ DesignFileSchema.post('init', function() {
+   const { sceneData, fromVersion, migrated } = migrateScene(this.sceneData);
+   if (migrated) {
+     this.sceneData = sceneData;
+     this.unmarkModified('sceneData');
+     this.$locals.sceneMigratedFrom = fromVersion;
+   }
+ });
+
  DesignFileSchema.pre('save', function(next) {
    this.updatedAt = new Date();
+   // Every content change gets a new revision number
+   if (!this.isNew && (this.isModified('sceneData') || this.isModified('name') || this.isModified('description'))) {
+     // Only write if nobody saved since this copy was loaded; otherwise
+     // save() rejects with a DocumentNotFoundError
+     this.$where = { ...this.$where, revision: this.revision };
+     this.revision += 1;
+   }
    next();
  });
 
+ // ETag for the current revision, used for If-Match checks
+ DesignFileSchema.methods.getETag = function() {
+   return `"${this.revision}"`;
+ };
+
+ // Share link state: active, expired or revoked
+ DesignFileSchema.methods.getShareLinkStatus = function(link) {
+   if (link.revokedAt) return 'revoked';
+   if (link.expiresAt && link.expiresAt <= new Date()) return 'expired';
+   return 'active';
+ };
+
+ // Never send share link password hashes to clients
+ DesignFileSchema.methods.toJSON = function() {
+   const fileObject = this.toObject();
+   fileObject.shareLinks = (fileObject.shareLinks || []).map(({ passwordHash, ...link }) => ({
+     ...link,
+     hasPassword: Boolean(passwordHash),
+   }));
+   return fileObject;
+ };
+
  module.exports = mongoose.model('DesignFile', DesignFileSchema);
 
 
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Number of revisions kept per design file, by subscription plan
+const REVISION_LIMITS = { free: 10, pro: 100, enterprise: 500 };
+
+// Snapshot of a design file taken on every save. Revisions are never edited,
+// only pruned once a file exceeds the owner's retention limit.
+const DesignFileRevisionSchema = new mongoose.Schema({
+  designFile: { type: mongoose.Schema.Types.ObjectId, ref: 'DesignFile', required: true, immutable: true },
+  revision: { type: Number, required: true, min: 1, immutable: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, immutable: true },
+  action: { type: String, enum: ['create', 'update', 'restore'], default: 'update', immutable: true },
+  restoredFrom: { type: Number, default: null, immutable: true },
+  name: { type: String, required: true, immutable: true },
+  description: { type: String, immutable: true },
+  sceneData: { type: Object, required: true, immutable: true },
+  createdAt: { type: Date, default: Date.now, immutable: true },
+});
+
+DesignFileRevisionSchema.index({ designFile: 1, revision: -1 }, { unique: true });
+
+// Get how many revisions a plan keeps
+DesignFileRevisionSchema.statics.getRetentionLimit = function(plan) {
+  return REVISION_LIMITS[plan] || REVISION_LIMITS.free;
+};
+
+// Snapshot the current state of a design file
+DesignFileRevisionSchema.statics.record = function(file, userId, action = 'update', restoredFrom = null) {
+  return this.create({
+    designFile: file._id,
+    revision: file.revision,
+    user: userId,
+    action,
+    restoredFrom,
+    name: file.name,
+    description: file.description,
+    sceneData: file.sceneData,
+  });
+};
+
+// Delete the oldest revisions beyond the plan's retention limit
+DesignFileRevisionSchema.statics.prune = async function(designFileId, plan) {
+  const stale = await this.find({ designFile: designFileId })
+    .sort({ revision: -1 })
+    .skip(this.getRetentionLimit(plan))
+    .select('_id');
+
+  if (stale.length === 0) return 0;
+
+  const result = await this.deleteMany({ _id: { $in: stale.map(rev => rev._id) } });
+  return result.deletedCount;
+};
+
+module.exports = mongoose.model('DesignFileRevision', DesignFileRevisionSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, CURRENCIES } = require('../utils/currency');
+
+const QUOTED_CURRENCIES = CURRENCIES.filter(currency => currency !== BASE_CURRENCY);
+
+// A table of exchange rates, in units of each currency per one USD, in force
+// from `effectiveDate` until the next table takes over. Maintained by admins.
+const ExchangeRateSchema = new mongoose.Schema({
+  effectiveDate: { type: Date, required: [true, 'Effective date is required'] },
+  rates: Object.fromEntries(QUOTED_CURRENCIES.map(currency => [currency, {
+    type: Number,
+    required: [true, `${currency} rate is required`],
+    min: [0.000001, `${currency} rate must be positive`],
+  }])),
+  note: { type: String, trim: true, maxlength: [200, 'Note cannot exceed 200 characters'] },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, {
+  timestamps: true,
+});
+
+ExchangeRateSchema.index({ effectiveDate: -1 }, { unique: true });
+
+// Table in force at `at`, or null if none had started yet
+ExchangeRateSchema.statics.findInForce = function(at = new Date()) {
+  return this.findOne({ effectiveDate: { $lte: at } }).sort({ effectiveDate: -1 });
+};
+
+// What a response needs to convert prices to `currency`:
+// { base, currency, rateDate, rates } with rates keyed by currency (the base
+// is always 1). Without a table only the base currency has a rate.
+ExchangeRateSchema.statics.getConversion = async function(currency = BASE_CURRENCY, at = new Date()) {
+  const table = await this.findInForce(at).lean();
+  return {
+    base: BASE_CURRENCY,
+    currency,
+    rateDate: table ? table.effectiveDate : null,
+    rates: { ...(table ? table.rates : {}), [BASE_CURRENCY]: 1 },
+  };
+};
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { getSceneFurnitureIds } = require('../utils/scene');
+const { METERS_PER_UNIT, dimensionsInCm } = require('../utils/units');
+const { rankRecommendations } = require('../utils/similarity');
+const { hexToLab } = require('../utils/color');
+const { BASE_CURRENCY, CURRENCIES, conversionFactor } = require('../utils/currency');
 
 const furnitureSchema = new mongoose.Schema({
   name: {
@@ -44,8 +49,8 @@ const furnitureSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    default: 'USD',
-    enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD']
+    default: BASE_CURRENCY,
+    enum: CURRENCIES
   },
   dimensions: {
     width: {
@@ -69,6 +74,13 @@ const furnitureSchema = new mongoose.Schema({
       default: 'cm'
     }
   },
+  // `dimensions` in centimeters, kept in sync by the app for range queries
+  // such as the fit search; never set directly
+  dimensionsCm: {
+    width: Number,
+    height: Number,
+    depth: Number
+  },
   weight: {
     value: {
       type: Number,
@@ -99,6 +111,12 @@ const furnitureSchema = new mongoose.Schema({
     isDefault: {
       type: Boolean,
       default: false
+    },
+    // CIELAB of `hex`, kept in sync for the color search
+    lab: {
+      L: Number,
+      a: Number,
+      b: Number
     }
   }],
   images: [{
@@ -156,25 +174,30 @@ const furnitureSchema = new mongoose.Schema({
     },
     quantity: {
       type: Number,
-      default: null
+      default: null,
+      min: [0, 'Stock quantity cannot be negative']
     },
     leadTime: {
       type: Number,
-      default: null // in days
+      default: null, // in days
+      min: [0, 'Lead time cannot be negative']
     }
   },
   pricing: {
     retail: {
       type: Number,
-      required: true
+      required: [true, 'Retail price is required'],
+      min: [0, 'Retail price cannot be negative']
     },
     wholesale: {
       type: Number,
-      default: null
+      default: null,
+      min: [0, 'Wholesale price cannot be negative']
     },
     sale: {
       type: Number,
-      default: null
+      default: null,
+      min: [0, 'Sale price cannot be negative']
     },
     saleStart: {
       type: Date,
@@ -183,6 +206,12 @@ const furnitureSchema = new mongoose.Schema({
     saleEnd: {
       type: Date,
       default: null
+    },
+    // Sale campaign that set the sale price, if any
+    saleCampaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SaleCampaign',
+      default: null
     }
   },
   ratings: {
@@ -245,6 +274,69 @@ furnitureSchema.index({ isActive: 1, isFeatured: 1 });
 furnitureSchema.index({ tags: 1 });
 furnitureSchema.index({ 'availability.inStock': 1 });
 furnitureSchema.index({ createdAt: -1 });
+// Fit search, one index per orientation (width along the wall or turned)
+furnitureSchema.index({ 'dimensionsCm.width': 1, 'dimensionsCm.depth': 1, 'dimensionsCm.height': 1 });
+furnitureSchema.index({ 'dimensionsCm.depth': 1, 'dimensionsCm.width': 1 });
+// Color search narrows on lightness before computing exact distances
+furnitureSchema.index({ 'colors.lab.L': 1 });
+// Catalog key used by the bulk import (items without a brand and model are
+// not covered)
+furnitureSchema.index(
+  { brand: 1, model: 1 },
+  { unique: true, partialFilterExpression: { brand: { $type: 'string' }, model: { $type: 'string' } } }
+);
+
+const HEX_COLOR = /^#[0-9A-F]{6}$/i;
+
+// Stored Lab of a color, rounded like dimensionsCm
+const colorLab = (hex) => {
+  const { L, a, b } = hexToLab(hex);
+  const round = (value) => Math.round(value * 100) / 100;
+  return { L: round(L), a: round(a), b: round(b) };
+};
+
+// Cross-field pricing rules, checked whenever pricing is written (older
+// documents are not re-checked on unrelated saves such as popularity)
+furnitureSchema.pre('validate', function(next) {
+  const { retail, wholesale, sale, saleStart, saleEnd } = this.pricing || {};
+
+  // `price` mirrors the retail price unless set explicitly
+  if (this.price === undefined || this.price === null) {
+    this.price = retail;
+  }
+
+  if (this.isNew || this.isModified('dimensions')) {
+    this.dimensionsCm = dimensionsInCm(this.dimensions);
+  }
+
+  if (this.isNew || this.isModified('colors')) {
+    this.colors.forEach(color => {
+      if (HEX_COLOR.test(color.hex)) color.lab = colorLab(color.hex);
+    });
+  }
+
+  if (!this.isNew && !this.isModified('pricing')) return next();
+
+  // A sale edited by hand no longer belongs to its campaign
+  if (!this.isNew && !this.isModified('pricing.saleCampaign') &&
+      ['pricing.sale', 'pricing.saleStart', 'pricing.saleEnd'].some(path => this.isModified(path))) {
+    this.pricing.saleCampaign = null;
+  }
+
+  if (sale !== null && sale !== undefined && retail !== undefined && sale >= retail) {
+    this.invalidate('pricing.sale', 'Sale price must be lower than the retail price', sale);
+  }
+  if (sale !== null && sale !== undefined && (!saleStart || !saleEnd)) {
+    this.invalidate('pricing.saleStart', 'A sale needs both a start and an end date', saleStart);
+  }
+  if (saleStart && saleEnd && saleStart >= saleEnd) {
+    this.invalidate('pricing.saleEnd', 'Sale end must be after sale start', saleEnd);
+  }
+  if (wholesale !== null && wholesale !== undefined && retail !== undefined && wholesale > retail) {
+    this.invalidate('pricing.wholesale', 'Wholesale price cannot exceed the retail price', wholesale);
+  }
+  next();
+});
 
 // Virtual for current price
 furnitureSchema.virtual('currentPrice').get(function() {
@@ -276,14 +368,6 @@ furnitureSchema.virtual('defaultColor').get(function() {
   return defaultColor ? defaultColor.hex : (this.colors.length > 0 ? this.colors[0].hex : '#8B4513');
 });
 
-// Method to update rating
-furnitureSchema.methods.updateRating = function(newRating) {
-  const totalRating = this.ratings.average * this.ratings.count + newRating;
-  this.ratings.count += 1;
-  this.ratings.average = totalRating / this.ratings.count;
-  return this.save();
-};
-
 // Method to increment popularity
 furnitureSchema.methods.incrementPopularity = function() {
   this.popularity += 1;
@@ -317,15 +401,68 @@ furnitureSchema.statics.search = function(query, filters = {}) {
     .sort({ score: { $meta: 'textScore' }, popularity: -1 });
 };
 
-// Method to get similar furniture
-furnitureSchema.methods.getSimilar = function(limit = 5) {
-  return this.constructor.find({
-    _id: { $ne: this._id },
-    category: this.category,
-    isActive: true
-  })
-  .sort({ popularity: -1 })
-  .limit(limit);
+// Categories that are shopped together, used for complementary items
+// when there is too little "placed together" data
+const COMPLEMENTARY_CATEGORIES = {
+  Seating: ['Tables', 'Lighting', 'Decorative'],
+  Tables: ['Seating', 'Lighting'],
+  Storage: ['Decorative', 'Lighting'],
+  Lighting: ['Seating', 'Tables'],
+  Bedroom: ['Storage', 'Lighting', 'Decorative'],
+  Decorative: ['Seating', 'Storage'],
+  Kitchen: ['Tables', 'Lighting', 'Storage'],
+  Bathroom: ['Storage', 'Lighting', 'Decorative'],
+  Outdoor: ['Lighting', 'Decorative']
+};
+const RECOMMENDATION_POOL = 200; // candidates scored per list
+
+// Similar items (same category, scored on subcategory, size, price,
+// materials, colors, tags and being placed together) and complementary
+// items (other categories, mostly placed together). Each result is
+// { item, score, reasons }. Prices are compared across currencies with
+// `rates` (see utils/currency.js).
+furnitureSchema.methods.getRecommendations = async function(limit = 5, { rates = { [BASE_CURRENCY]: 1 } } = {}) {
+  const affinity = await require('./FurnitureAffinity').getPartners(this._id);
+  const price = this.currentPrice || this.price || 0;
+  const partnerIds = [...affinity.keys()];
+  // Within a third and three times the price, in each currency with a rate
+  const priceRanges = CURRENCIES
+    .map(currency => [currency, conversionFactor(rates, this.currency, currency)])
+    .filter(([, factor]) => factor)
+    .map(([currency, factor]) => ({ currency, 'pricing.retail': { $gte: (price * factor) / 3, $lte: price * factor * 3 } }));
+
+  const [similarPool, partners, complementaryPool] = await Promise.all([
+    this.constructor.find({
+      _id: { $ne: this._id },
+      category: this.category,
+      isActive: true,
+      $or: [
+        ...(this.subcategory ? [{ subcategory: this.subcategory }] : []),
+        ...priceRanges
+      ]
+    }).sort({ popularity: -1 }).limit(RECOMMENDATION_POOL),
+    this.constructor.find({ _id: { $in: partnerIds }, isActive: true }),
+    this.constructor.find({
+      category: { $in: COMPLEMENTARY_CATEGORIES[this.category] || [] },
+      isActive: true
+    }).sort({ popularity: -1 }).limit(RECOMMENDATION_POOL)
+  ]);
+
+  // Partners may be in any category; merge them into the matching pool
+  const merge = (pool, extra) => {
+    const ids = new Set(pool.map(item => item._id.toString()));
+    return [...pool, ...extra.filter(item => !ids.has(item._id.toString()))];
+  };
+  const similar = rankRecommendations(this, merge(similarPool, partners.filter(item => item.category === this.category)), {
+    affinity, rates, kind: 'similar', limit, minScore: 0.25
+  });
+  const complementary = rankRecommendations(this, merge(partners.filter(item => item.category !== this.category), complementaryPool), {
+    affinity, rates, kind: 'complementary', limit, minScore: 0.1
+  }).map(result => (affinity.has(result.item._id.toString())
+    ? result
+    : { ...result, reasons: [`Goes with ${this.category.toLowerCase()}`, ...result.reasons] }));
+
+  return { similar, complementary };
 };
 
 // Method to get furniture by category
@@ -349,6 +486,146 @@ furnitureSchema.statics.getFeatured = function(limit = 10) {
   .limit(limit);
 };
 
+// Method to load the catalog items a scene references (including inactive
+// ones), keyed by id
+furnitureSchema.statics.findForScene = async function(sceneData) {
+  const ids = getSceneFurnitureIds(sceneData).filter(id => /^[0-9a-f]{24}$/i.test(id));
+  const furniture = await this.find({ _id: { $in: ids } });
+  return new Map(furniture.map(item => [item._id.toString(), item]));
+};
+
+// Recompute `dimensionsCm` of the matching items from their `dimensions`.
+// Used by the update hooks below and scripts/backfillDimensions.js; it
+// writes through the driver so those hooks don't fire again.
+furnitureSchema.statics.syncDimensionsCm = async function(filter = {}) {
+  const cmPerUnit = {
+    $switch: {
+      branches: Object.entries(METERS_PER_UNIT).map(([unit, meters]) => ({
+        case: { $eq: ['$dimensions.unit', unit] },
+        then: meters * 100
+      })),
+      default: 1 // unit defaults to cm
+    }
+  };
+  const toCm = (field) => ({ $round: [{ $multiply: [`$dimensions.${field}`, cmPerUnit] }, 2] });
+  const result = await this.collection.updateMany(filter, [
+    { $set: { dimensionsCm: { width: toCm('width'), height: toCm('height'), depth: toCm('depth') } } }
+  ]);
+  return result.modifiedCount;
+};
+
+// Recompute `colors[].lab` of the matching items from their hex codes,
+// like syncDimensionsCm. Lab can't be computed in an update pipeline, so
+// the items are read and written back in batches.
+furnitureSchema.statics.syncColorLab = async function(filter = {}) {
+  const cursor = this.collection.find(filter, { projection: { colors: 1 } });
+  let batch = [];
+  let count = 0;
+  const flush = async () => {
+    if (batch.length > 0) await this.collection.bulkWrite(batch, { ordered: false });
+    count += batch.length;
+    batch = [];
+  };
+
+  for await (const item of cursor) {
+    const labs = Object.fromEntries((item.colors || [])
+      .map((color, index) => [`colors.${index}.lab`, HEX_COLOR.test(color.hex) ? colorLab(color.hex) : null])
+      .filter(([, lab]) => lab));
+    if (Object.keys(labs).length === 0) continue;
+    // Skipped if the item's colors changed since they were read
+    batch.push({ updateOne: { filter: { _id: item._id, colors: item.colors }, update: { $set: labs } } });
+    if (batch.length >= 500) await flush();
+  }
+  await flush();
+  return count;
+};
+
+// Fields that change what a template costs
+const COST_FIELDS = ['price', 'pricing', 'currency', 'isActive'];
+
+// Whether a query update may write any of `fields` (pipeline updates may
+// write anything)
+const touchesFields = (update = {}, fields) => Array.isArray(update) || Object.entries(update).some(([key, value]) => (key.startsWith('$')
+  ? touchesFields(value, fields)
+  : fields.some(field => key === field || key.startsWith(`${field}.`))));
+
+const touchesCost = (update) => touchesFields(update, COST_FIELDS);
+const touchesPrice = (update) => touchesFields(update, ['pricing', 'currency']);
+
+// Re-price templates using these items; failures are logged, not thrown,
+// since the furniture change itself has already been written
+const refreshTemplateCosts = async (furnitureIds) => {
+  if (furnitureIds.length === 0) return;
+  try {
+    await require('./Template').refreshCostsForFurniture(furnitureIds);
+  } catch (error) {
+    console.error('Template cost refresh error:', error);
+  }
+};
+
+// Write changed pricing to the price history. Saves may set
+// $locals.priceSource ('import'); everything else counts as an admin edit.
+const recordPriceChanges = (furnitureIds, source = 'admin') =>
+  require('./PriceHistory').recordChanges(furnitureIds, { source });
+
+furnitureSchema.pre('save', function(next) {
+  this.$locals.costChanged = !this.isNew && COST_FIELDS.some(field => this.isModified(field));
+  this.$locals.priceChanged = this.isNew || ['pricing', 'currency'].some(field => this.isModified(field));
+  next();
+});
+
+furnitureSchema.post('save', async function(doc) {
+  if (doc.$locals.priceChanged) {
+    await recordPriceChanges([doc._id], doc.$locals.priceSource);
+  }
+  if (doc.$locals.costChanged) {
+    await refreshTemplateCosts([doc._id]);
+  }
+});
+
+furnitureSchema.post(['findOneAndUpdate', 'findOneAndDelete'], async function(doc) {
+  if (doc && this.op === 'findOneAndUpdate' && touchesFields(this.getUpdate(), ['dimensions'])) {
+    await this.model.syncDimensionsCm({ _id: doc._id });
+  }
+  if (doc && this.op === 'findOneAndUpdate' && touchesFields(this.getUpdate(), ['colors'])) {
+    await this.model.syncColorLab({ _id: doc._id });
+  }
+  if (doc && this.op === 'findOneAndUpdate' && touchesPrice(this.getUpdate())) {
+    await recordPriceChanges([doc._id]);
+  }
+  if (doc && (this.op === 'findOneAndDelete' || touchesCost(this.getUpdate()))) {
+    await refreshTemplateCosts([doc._id]);
+  }
+});
+
+// Updates that don't return documents: note the matched ids beforehand
+furnitureSchema.pre(['updateOne', 'updateMany', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+  const dimensionsChanged = !this.op.startsWith('delete') && touchesFields(this.getUpdate(), ['dimensions']);
+  const colorsChanged = !this.op.startsWith('delete') && touchesFields(this.getUpdate(), ['colors']);
+  if (this.op.startsWith('delete') || dimensionsChanged || colorsChanged || touchesCost(this.getUpdate())) {
+    const ids = await this.model.find(this.getFilter()).distinct('_id');
+    if (dimensionsChanged) this._dimensionFurnitureIds = ids;
+    if (colorsChanged) this._colorFurnitureIds = ids;
+    if (this.op.startsWith('delete') || touchesCost(this.getUpdate())) this._costFurnitureIds = ids;
+    if (!this.op.startsWith('delete') && touchesPrice(this.getUpdate())) this._priceFurnitureIds = ids;
+  }
+});
+
+furnitureSchema.post(['updateOne', 'updateMany', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+  if (this._dimensionFurnitureIds) {
+    await this.model.syncDimensionsCm({ _id: { $in: this._dimensionFurnitureIds } });
+  }
+  if (this._colorFurnitureIds) {
+    await this.model.syncColorLab({ _id: { $in: this._colorFurnitureIds } });
+  }
+  if (this._priceFurnitureIds) {
+    await recordPriceChanges(this._priceFurnitureIds);
+  }
+  if (this._costFurnitureIds) {
+    await refreshTemplateCosts(this._costFurnitureIds);
+  }
+});
+
 module.exports = mongoose.model('Furniture', furnitureSchema);
 
 
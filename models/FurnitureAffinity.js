@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { getSceneFurnitureIds } = require('../utils/scene');
+
+const MAX_ITEMS_PER_LAYOUT = 40; // larger layouts only count their first items
+const MIN_PAIR_COUNT = 2; // pairs seen once are noise
+const MAX_PARTNERS = 50;
+
+// Items most often placed in the same design file or template as an item,
+// rebuilt by jobs/affinity.js. `score` is the pair count normalized by how
+// often each item is used (cosine), so everyday pieces don't dominate.
+const FurnitureAffinitySchema = new mongoose.Schema({
+  furniture: { type: mongoose.Schema.Types.ObjectId, ref: 'Furniture', required: true, unique: true },
+  occurrences: { type: Number, default: 0 },
+  partners: [{
+    _id: false,
+    furniture: { type: mongoose.Schema.Types.ObjectId, ref: 'Furniture', required: true },
+    count: { type: Number, required: true },
+    score: { type: Number, required: true },
+  }],
+  computedAt: { type: Date, required: true },
+}, {
+  versionKey: false,
+});
+
+// Count co-placements across all design files and active templates and
+// replace every item's partner list
+FurnitureAffinitySchema.statics.rebuild = async function(now = new Date()) {
+  const DesignFile = require('./DesignFile');
+  const Template = require('./Template');
+
+  const occurrences = new Map();
+  const pairs = new Map();
+  const addLayout = (ids) => {
+    const distinct = [...new Set(ids)].slice(0, MAX_ITEMS_PER_LAYOUT).sort();
+    distinct.forEach((id, i) => {
+      occurrences.set(id, (occurrences.get(id) || 0) + 1);
+      for (let j = i + 1; j < distinct.length; j += 1) {
+        const key = `${id}:${distinct[j]}`;
+        pairs.set(key, (pairs.get(key) || 0) + 1);
+      }
+    });
+  };
+
+  for await (const file of DesignFile.find().select('sceneData.furniture.furnitureId').lean().cursor()) {
+    addLayout(getSceneFurnitureIds(file.sceneData));
+  }
+  for await (const template of Template.find({ isActive: true }).select('furniture.furnitureId').lean().cursor()) {
+    addLayout((template.furniture || []).filter(item => item.furnitureId).map(item => item.furnitureId.toString()));
+  }
+
+  const partners = new Map();
+  pairs.forEach((count, key) => {
+    if (count < MIN_PAIR_COUNT) return;
+    const [a, b] = key.split(':');
+    const score = Math.round((count / Math.sqrt(occurrences.get(a) * occurrences.get(b))) * 1000) / 1000;
+    [[a, b], [b, a]].forEach(([from, to]) => {
+      if (!partners.has(from)) partners.set(from, []);
+      partners.get(from).push({ furniture: to, count, score });
+    });
+  });
+
+  const operations = [...partners].map(([furniture, list]) => ({
+    updateOne: {
+      filter: { furniture },
+      update: {
+        $set: {
+          occurrences: occurrences.get(furniture),
+          partners: list.sort((x, y) => y.score - x.score || y.count - x.count).slice(0, MAX_PARTNERS),
+          computedAt: now,
+        },
+      },
+      upsert: true,
+    },
+  }));
+  for (let i = 0; i < operations.length; i += 1000) {
+    await this.bulkWrite(operations.slice(i, i + 1000), { ordered: false });
+  }
+  await this.deleteMany({ computedAt: { $ne: now } });
+  return operations.length;
+};
+
+// Partner entries of an item keyed by partner id
+FurnitureAffinitySchema.statics.getPartners = async function(furnitureId) {
+  const affinity = await this.findOne({ furniture: furnitureId }).lean();
+  return new Map((affinity ? affinity.partners : []).map(partner => [partner.furniture.toString(), partner]));
+};
+
+module.exports = mongoose.model('FurnitureAffinity', FurnitureAffinitySchema);
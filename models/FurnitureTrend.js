@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const CatalogEvent = require('./CatalogEvent');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Trending windows and the half-life of an event's weight within each, so
+// yesterday still counts this week but less than today
+const PERIODS = {
+  day: { window: DAY, halfLife: 6 * HOUR },
+  week: { window: 7 * DAY, halfLife: 2 * DAY },
+  month: { window: 30 * DAY, halfLife: 7 * DAY },
+};
+// Placing an item says more than looking at it
+const EVENT_WEIGHTS = { view: 1, 'template-use': 3, 'add-to-design': 5 };
+const MAX_RANKED = 500; // items kept per period
+
+// Precomputed trending score of an item for one period, rebuilt by
+// jobs/trending.js from CatalogEvent
+const FurnitureTrendSchema = new mongoose.Schema({
+  period: { type: String, enum: Object.keys(PERIODS), required: true },
+  furniture: { type: mongoose.Schema.Types.ObjectId, ref: 'Furniture', required: true },
+  score: { type: Number, required: true },
+  rank: { type: Number, required: true },
+  counts: {
+    view: { type: Number, default: 0 },
+    'add-to-design': { type: Number, default: 0 },
+    'template-use': { type: Number, default: 0 },
+  },
+  computedAt: { type: Date, required: true },
+}, {
+  versionKey: false,
+});
+
+FurnitureTrendSchema.index({ period: 1, furniture: 1 }, { unique: true });
+FurnitureTrendSchema.index({ period: 1, rank: 1 });
+
+// Score every item with events in the period's window and replace the
+// period's rollup. Each event adds its type weight, halved every half-life.
+FurnitureTrendSchema.statics.rebuild = async function(period, now = new Date()) {
+  const { window, halfLife } = PERIODS[period];
+
+  const scored = await CatalogEvent.aggregate([
+    { $match: { timestamp: { $gte: new Date(now.getTime() - window), $lte: now } } },
+    {
+      $group: {
+        _id: '$meta.furniture',
+        score: {
+          $sum: {
+            $multiply: [
+              {
+                $switch: {
+                  branches: Object.entries(EVENT_WEIGHTS).map(([type, weight]) => ({
+                    case: { $eq: ['$meta.type', type] },
+                    then: weight,
+                  })),
+                  default: 0,
+                },
+              },
+              { $exp: { $multiply: [-Math.LN2 / halfLife, { $subtract: [now, '$timestamp'] }] } },
+            ],
+          },
+        },
+        ...Object.fromEntries(Object.keys(EVENT_WEIGHTS).map(type => [
+          type,
+          { $sum: { $cond: [{ $eq: ['$meta.type', type] }, 1, 0] } },
+        ])),
+      },
+    },
+    { $sort: { score: -1 } },
+    { $limit: MAX_RANKED },
+  ]);
+
+  if (scored.length > 0) {
+    await this.bulkWrite(scored.map((item, index) => ({
+      updateOne: {
+        filter: { period, furniture: item._id },
+        update: {
+          $set: {
+            score: Math.round(item.score * 1000) / 1000,
+            rank: index + 1,
+            counts: Object.fromEntries(Object.keys(EVENT_WEIGHTS).map(type => [type, item[type]])),
+            computedAt: now,
+          },
+        },
+        upsert: true,
+      },
+    })), { ordered: false });
+  }
+  // Items that dropped out of the window or the top list
+  await this.deleteMany({ period, computedAt: { $ne: now } });
+  return scored.length;
+};
+
+FurnitureTrendSchema.statics.rebuildAll = async function(now = new Date()) {
+  const counts = {};
+  for (const period of Object.keys(PERIODS)) {
+    counts[period] = await this.rebuild(period, now);
+  }
+  return counts;
+};
+
+module.exports = mongoose.model('FurnitureTrend', FurnitureTrendSchema);
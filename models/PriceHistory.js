@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const PRICE_FIELDS = ['currency', 'retail', 'sale', 'saleStart', 'saleEnd'];
+
+// An item's pricing from `recordedAt` until its next entry. Entries are
+// written by the Furniture hooks and sale campaigns whenever the pricing
+// actually changes, and are never edited.
+const PriceHistorySchema = new mongoose.Schema({
+  furniture: { type: mongoose.Schema.Types.ObjectId, ref: 'Furniture', required: true, immutable: true },
+  recordedAt: { type: Date, default: Date.now, required: true, immutable: true },
+  currency: { type: String, required: true, immutable: true },
+  retail: { type: Number, required: true, immutable: true },
+  sale: { type: Number, default: null, immutable: true },
+  saleStart: { type: Date, default: null, immutable: true },
+  saleEnd: { type: Date, default: null, immutable: true },
+  // What made the change: an admin edit, a bulk import or a sale campaign.
+  // `backfill` entries hold the pricing of items that existed before the
+  // history did, dated at their creation.
+  source: { type: String, enum: ['admin', 'import', 'campaign', 'backfill'], default: 'admin', immutable: true },
+  campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'SaleCampaign', default: null, immutable: true },
+}, {
+  versionKey: false,
+});
+
+PriceHistorySchema.index({ furniture: 1, recordedAt: -1 });
+
+const snapshot = (item) => ({
+  currency: item.currency || 'USD',
+  retail: item.pricing.retail,
+  sale: item.pricing.sale ?? null,
+  saleStart: item.pricing.saleStart ?? null,
+  saleEnd: item.pricing.saleEnd ?? null,
+});
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value ?? null);
+const samePricing = (a, b) => PRICE_FIELDS.every(field => comparable(a[field]) === comparable(b[field]));
+
+// Record the current pricing of the given items where it differs from their
+// latest entry. History must never fail the change that triggered it, so
+// errors are logged rather than thrown.
+PriceHistorySchema.statics.recordChanges = async function(furnitureIds, { source = 'admin', campaign = null } = {}) {
+  if (furnitureIds.length === 0) return 0;
+  try {
+    const [items, latest] = await Promise.all([
+      mongoose.model('Furniture').find({ _id: { $in: furnitureIds } }).select('currency pricing').lean(),
+      this.aggregate([
+        { $match: { furniture: { $in: furnitureIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+        { $sort: { furniture: 1, recordedAt: -1 } },
+        { $group: { _id: '$furniture', entry: { $first: '$$ROOT' } } },
+      ]),
+    ]);
+    const latestById = new Map(latest.map(({ _id, entry }) => [_id.toString(), entry]));
+
+    const now = new Date();
+    const entries = items
+      .filter(item => item.pricing && item.pricing.retail !== undefined)
+      .filter(item => !latestById.has(item._id.toString()) || !samePricing(latestById.get(item._id.toString()), snapshot(item)))
+      .map(item => ({ furniture: item._id, recordedAt: now, ...snapshot(item), source, campaign }));
+    if (entries.length > 0) await this.insertMany(entries, { ordered: false });
+    return entries.length;
+  } catch (error) {
+    console.error('Price history error:', error);
+    return 0;
+  }
+};
+
+// Give every item without history a first entry with its current pricing,
+// dated at its creation, so the price before its first change is known.
+// Returns the number of entries written.
+PriceHistorySchema.statics.backfillBaselines = async function() {
+  const withHistory = new Set((await this.distinct('furniture')).map(id => id.toString()));
+  const cursor = mongoose.model('Furniture').find().select('currency pricing createdAt').lean().cursor();
+  let batch = [];
+  let count = 0;
+  const flush = async () => {
+    if (batch.length > 0) await this.insertMany(batch, { ordered: false });
+    count += batch.length;
+    batch = [];
+  };
+
+  for await (const item of cursor) {
+    if (withHistory.has(item._id.toString()) || !item.pricing || item.pricing.retail === undefined) continue;
+    batch.push({
+      furniture: item._id,
+      recordedAt: item.createdAt || item._id.getTimestamp(),
+      ...snapshot(item),
+      source: 'backfill',
+    });
+    if (batch.length >= 500) await flush();
+  }
+  await flush();
+  return count;
+};
+
+module.exports = mongoose.model('PriceHistory', PriceHistorySchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A user's review of a catalog item or template. Each user has at most one
+// review per target; the target's `ratings` are recomputed from its reviews.
+const ReviewSchema = new mongoose.Schema({
+  targetType: { type: String, enum: ['Furniture', 'Template'], required: true, immutable: true },
+  target: { type: mongoose.Schema.Types.ObjectId, refPath: 'targetType', required: true, immutable: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, immutable: true },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+  },
+  title: { type: String, trim: true, maxlength: [100, 'Title cannot exceed 100 characters'], default: null },
+  text: { type: String, trim: true, maxlength: [2000, 'Review cannot exceed 2000 characters'], default: null },
+  // Users who found the review helpful; only the count is public
+  helpfulVoters: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], select: false },
+  helpfulCount: { type: Number, default: 0, min: 0 },
+}, {
+  timestamps: true,
+});
+
+ReviewSchema.index({ targetType: 1, target: 1, user: 1 }, { unique: true });
+ReviewSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+ReviewSchema.index({ targetType: 1, target: 1, helpfulCount: -1 });
+ReviewSchema.index({ user: 1, createdAt: -1 });
+
+// Rating average, count and 1-5 star distribution of a target's reviews.
+// Ratings round half up to their star, as in the `?rating=N` filter
+// ([N - 0.5, N + 0.5)); $round would send halves to the even star.
+ReviewSchema.statics.summarize = async function(targetType, targetId) {
+  const buckets = await this.aggregate([
+    { $match: { targetType, target: new mongoose.Types.ObjectId(targetId) } },
+    { $group: { _id: { $floor: { $add: ['$rating', 0.5] } }, count: { $sum: 1 }, total: { $sum: '$rating' } } },
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+  buckets.forEach(bucket => {
+    distribution[bucket._id] += bucket.count;
+    count += bucket.count;
+    total += bucket.total;
+  });
+  return { average: count > 0 ? Math.round((total / count) * 100) / 100 : 0, count, distribution };
+};
+
+// Write a target's `ratings` from its reviews; call after any review change
+ReviewSchema.statics.recomputeRatings = async function(targetType, targetId) {
+  const { average, count } = await this.summarize(targetType, targetId);
+  await mongoose.model(targetType).updateOne(
+    { _id: targetId },
+    { $set: { 'ratings.average': average, 'ratings.count': count } }
+  );
+  return { average, count };
+};
+
+// Set a user's rating of a target, creating a review without text if they
+// have none, and return the recomputed ratings
+ReviewSchema.statics.rate = async function(targetType, targetId, userId, rating) {
+  await this.findOneAndUpdate(
+    { targetType, target: targetId, user: userId },
+    { $set: { rating } },
+    { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  return this.recomputeRatings(targetType, targetId);
+};
+
+module.exports = mongoose.model('Review', ReviewSchema);
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, CURRENCIES, convertAmount } = require('../utils/currency');
+const { anyOf } = require('../utils/regex');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// After campaign writes, which bypass the Furniture hooks: record the price
+// changes and re-price templates. Failures are logged, not thrown, as in
+// those hooks.
+const afterPriceWrite = async (campaign, furnitureIds) => {
+  await require('./PriceHistory').recordChanges(furnitureIds, { source: 'campaign', campaign: campaign._id });
+  try {
+    await require('./Template').refreshCostsForFurniture(furnitureIds);
+  } catch (error) {
+    console.error('Template cost refresh error:', error);
+  }
+};
+
+// A sale over many catalog items, set up by an admin. Applying it writes
+// the sale price and dates into each targeted item's pricing, so
+// Furniture.currentPrice and template costs pick it up like any other sale.
+const SaleCampaignSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Name is required'], trim: true, maxlength: [100, 'Name cannot exceed 100 characters'] },
+  description: { type: String, trim: true, maxlength: [500, 'Description cannot exceed 500 characters'] },
+  // Items matching every given list (any value within a list); at least
+  // one list must be set
+  target: {
+    categories: [{ type: String, trim: true }],
+    brands: [{ type: String, trim: true }],
+    tags: [{ type: String, trim: true }],
+  },
+  discount: {
+    type: { type: String, enum: ['percentage', 'fixed'], required: [true, 'Discount type is required'] },
+    value: { type: Number, required: [true, 'Discount value is required'], min: [0.01, 'Discount must be positive'] },
+    // Currency of a fixed discount; converted to each item's currency
+    currency: { type: String, enum: CURRENCIES, default: BASE_CURRENCY },
+  },
+  startsAt: { type: Date, required: [true, 'Start date is required'] },
+  endsAt: { type: Date, required: [true, 'End date is required'] },
+  cancelledAt: { type: Date, default: null },
+  // Outcome of the last apply
+  lastApplied: {
+    at: { type: Date, default: null },
+    applied: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+SaleCampaignSchema.index({ startsAt: -1 });
+
+SaleCampaignSchema.pre('validate', function(next) {
+  const { categories = [], brands = [], tags = [] } = this.target || {};
+  if (categories.length + brands.length + tags.length === 0) {
+    this.invalidate('target', 'Target at least one category, brand or tag');
+  }
+  if (this.discount && this.discount.type === 'percentage' && this.discount.value >= 100) {
+    this.invalidate('discount.value', 'A percentage discount must be below 100', this.discount.value);
+  }
+  if (this.startsAt && this.endsAt && this.startsAt >= this.endsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date', this.endsAt);
+  }
+  next();
+});
+
+// scheduled, active, ended or cancelled
+SaleCampaignSchema.virtual('status').get(function() {
+  const now = new Date();
+  if (this.cancelledAt) return 'cancelled';
+  if (this.endsAt < now) return 'ended';
+  return this.startsAt <= now ? 'active' : 'scheduled';
+});
+
+// Furniture query for the targeted items
+SaleCampaignSchema.methods.targetFilter = function() {
+  const { categories = [], brands = [], tags = [] } = this.target;
+  return {
+    isActive: true,
+    ...(categories.length > 0 ? { category: { $in: categories } } : {}),
+    ...(brands.length > 0 ? { brand: anyOf(brands) } : {}),
+    ...(tags.length > 0 ? { tags: anyOf(tags) } : {}),
+  };
+};
+
+// Sale price of an item under this campaign, or { reason } when the item
+// can't take it
+SaleCampaignSchema.methods.salePriceFor = function(item, rates) {
+  const retail = item.pricing.retail;
+  const { type, value, currency } = this.discount;
+  const discount = type === 'percentage'
+    ? (retail * value) / 100
+    : convertAmount(value, currency, item.currency, rates);
+  if (discount === null) return { reason: `No exchange rate for ${item.currency}` };
+
+  const price = roundMoney(retail - discount);
+  if (price <= 0) return { reason: 'Discount is not below the retail price' };
+  if (price >= retail) return { reason: 'Discount rounds to nothing' };
+  return { price };
+};
+
+// Write the campaign's sale into every targeted item that isn't already on
+// another sale, and take it off items it no longer targets. Returns
+// { applied, removed, skipped: [{ furniture, name, reason }] }.
+SaleCampaignSchema.methods.apply = async function() {
+  const Furniture = require('./Furniture');
+  const now = new Date();
+  const { rates } = await require('./ExchangeRate').getConversion();
+  const items = await Furniture.find(this.targetFilter()).select('name currency pricing').lean();
+
+  const skipped = [];
+  const writes = [];
+  items.forEach(item => {
+    const { sale, saleEnd, saleCampaign } = item.pricing;
+    const ownSale = saleCampaign && saleCampaign.equals(this._id);
+    if (!ownSale && sale !== null && sale !== undefined && saleEnd && saleEnd > now) {
+      skipped.push({ furniture: item._id, name: item.name, reason: `Already on sale until ${saleEnd.toISOString()}` });
+      return;
+    }
+    const { price, reason } = this.salePriceFor(item, rates);
+    if (reason) {
+      skipped.push({ furniture: item._id, name: item.name, reason });
+      return;
+    }
+    writes.push({
+      updateOne: {
+        filter: { _id: item._id },
+        update: {
+          $set: {
+            'pricing.sale': price,
+            'pricing.saleStart': this.startsAt,
+            'pricing.saleEnd': this.endsAt,
+            'pricing.saleCampaign': this._id,
+          },
+        },
+      },
+    });
+  });
+
+  const ids = writes.map(write => write.updateOne.filter._id);
+  if (writes.length > 0) {
+    await Furniture.bulkWrite(writes, { ordered: false });
+    await afterPriceWrite(this, ids);
+  }
+  const removed = await this.removeSales({ _id: { $nin: ids } });
+
+  this.lastApplied = { at: now, applied: writes.length, skipped: skipped.length };
+  await this.save();
+  return { applied: writes.length, removed, skipped };
+};
+
+// Take the campaign's sale off the items (matching `filter`) it is still on
+SaleCampaignSchema.methods.removeSales = async function(filter = {}) {
+  const Furniture = require('./Furniture');
+  const ids = await Furniture.find({ ...filter, 'pricing.saleCampaign': this._id }).distinct('_id');
+  if (ids.length === 0) return 0;
+
+  await Furniture.collection.updateMany({ _id: { $in: ids } }, {
+    $set: { 'pricing.sale': null, 'pricing.saleStart': null, 'pricing.saleEnd': null, 'pricing.saleCampaign': null },
+  });
+  await afterPriceWrite(this, ids);
+  return ids.length;
+};
+
+module.exports = mongoose.model('SaleCampaign', SaleCampaignSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { buildBillOfMaterials } = require('../utils/billOfMaterials');
 
 const templateSchema = new mongoose.Schema({
   name: {
@@ -56,13 +57,18 @@ const templateSchema = new mongoose.Schema({
   },
   design: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Design',
+    ref: 'DesignFile',
     required: true
   },
   thumbnail: {
     type: String,
     required: [true, 'Thumbnail is required']
   },
+  // Generated floor plan for submitted templates, served as the thumbnail
+  thumbnailSvg: {
+    type: String,
+    select: false
+  },
   images: [{
     url: {
       type: String,
@@ -202,11 +208,48 @@ const templateSchema = new mongoose.Schema({
       required: true,
       min: [0, 'Total area must be positive']
     },
+    // Sum of currentPrice for active catalog items in `currency`; kept up
+    // to date by calculateCost and the Furniture price hooks
     totalCost: {
       type: Number,
       default: 0,
       min: [0, 'Total cost cannot be negative']
     },
+    currency: {
+      type: String,
+      default: 'USD'
+    },
+    costsByCurrency: [{
+      _id: false,
+      currency: String,
+      total: Number
+    }],
+    costBreakdown: [{
+      _id: false,
+      furnitureId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Furniture'
+      },
+      name: String,
+      quantity: Number,
+      unitPrice: Number,
+      retailPrice: Number,
+      onSale: Boolean,
+      currency: String,
+      lineTotal: Number,
+      // False for inactive or missing items, which are left out of the totals
+      included: Boolean,
+      flags: [String]
+    }],
+    costUpdatedAt: {
+      type: Date,
+      default: null
+    },
+    // Next sale start or end that changes a price
+    costValidUntil: {
+      type: Date,
+      default: null
+    },
     furnitureCount: {
       type: Number,
       default: 0,
@@ -274,6 +317,33 @@ const templateSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // User submissions stay inactive until an admin approves them
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'approved'
+  },
+  moderation: {
+    submittedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: null
+    }
+  },
   seo: {
     title: {
       type: String,
@@ -306,6 +376,8 @@ templateSchema.index({ usageCount: -1 });
 templateSchema.index({ 'ratings.average': -1 });
 templateSchema.index({ tags: 1 });
 templateSchema.index({ createdAt: -1 });
+templateSchema.index({ status: 1, 'moderation.submittedAt': 1 });
+templateSchema.index({ author: 1, createdAt: -1 });
 
 // Virtual for primary image
 templateSchema.virtual('primaryImage').get(function() {
@@ -330,19 +402,13 @@ templateSchema.virtual('formattedEstimatedTime').get(function() {
   return `${minutes}m`;
 });
 
-// Method to increment usage count
-templateSchema.methods.incrementUsage = function() {
+// Method to increment usage count (atomic, so concurrent uses are all
+// counted and the rest of the document is not re-saved)
+templateSchema.methods.incrementUsage = async function() {
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { usageCount: 1, popularity: 1 } });
   this.usageCount += 1;
   this.popularity += 1;
-  return this.save();
-};
-
-// Method to update rating
-templateSchema.methods.updateRating = function(newRating) {
-  const totalRating = this.ratings.average * this.ratings.count + newRating;
-  this.ratings.count += 1;
-  this.ratings.average = totalRating / this.ratings.count;
-  return this.save();
+  return this;
 };
 
 // Method to check if user can access template
@@ -409,24 +475,100 @@ templateSchema.statics.getByStyle = function(style, limit = 20, skip = 0) {
   .limit(limit);
 };
 
+// Method to price the furniture from the catalog using currentPrice.
+// Sets and returns the cost fields of metadata.
+templateSchema.methods.calculateCost = async function() {
+  const Furniture = require('./Furniture');
+  const now = new Date();
+  const furniture = this.furniture.map(item => ({
+    furnitureId: (item.furnitureId?._id || item.furnitureId)?.toString()
+  }));
+  const catalog = await Furniture.findForScene({ furniture });
+  const bill = buildBillOfMaterials({ furniture }, catalog);
+
+  const totals = new Map();
+  const costBreakdown = bill.lines.map(line => {
+    const included = Boolean(line.currency) && !line.flags.includes('inactive');
+    if (included) {
+      const total = totals.get(line.currency) || { currency: line.currency, total: 0, quantity: 0 };
+      total.total = Math.round((total.total + line.lineTotal) * 100) / 100;
+      total.quantity += line.quantity;
+      totals.set(line.currency, total);
+    }
+    return {
+      furnitureId: line.furnitureId,
+      name: line.name,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice ?? null,
+      retailPrice: line.retailPrice ?? null,
+      onSale: Boolean(line.onSale),
+      currency: line.currency || null,
+      lineTotal: included ? line.lineTotal : 0,
+      included,
+      flags: line.flags
+    };
+  });
+
+  // Headline total in the currency most of the furniture is priced in
+  const costsByCurrency = [...totals.values()].sort((a, b) => b.quantity - a.quantity || b.total - a.total);
+  const primary = costsByCurrency[0] || { currency: 'USD', total: 0 };
+
+  const saleBoundaries = [...catalog.values()]
+    .filter(item => item.pricing.sale)
+    .flatMap(item => [item.pricing.saleStart, item.pricing.saleEnd])
+    .filter(date => date && date > now);
+
+  const cost = {
+    totalCost: primary.total,
+    currency: primary.currency,
+    costsByCurrency: costsByCurrency.map(({ currency, total }) => ({ currency, total })),
+    costBreakdown,
+    costUpdatedAt: now,
+    costValidUntil: saleBoundaries.length > 0 ? new Date(Math.min(...saleBoundaries)) : null
+  };
+  Object.assign(this.metadata, cost);
+  return cost;
+};
+
+// Method to get the cost as per-currency totals ([{ currency, total }]).
+// Templates priced before costsByCurrency existed have only totalCost.
+templateSchema.methods.getCostTotals = function() {
+  const { costsByCurrency = [], totalCost = 0, currency } = this.metadata || {};
+  return costsByCurrency.length > 0 ? costsByCurrency : [{ currency, total: totalCost }];
+};
+
+// Static method to re-price matching templates without re-validating them
+templateSchema.statics.refreshCosts = async function(filter = {}) {
+  let count = 0;
+  for await (const template of this.find(filter).select('furniture metadata').cursor()) {
+    const cost = await template.calculateCost();
+    const update = Object.fromEntries(Object.entries(cost).map(([key, value]) => [`metadata.${key}`, value]));
+    await this.updateOne({ _id: template._id }, { $set: update });
+    count += 1;
+  }
+  return count;
+};
+
+// Static method to re-price templates that use any of the given furniture
+templateSchema.statics.refreshCostsForFurniture = function(furnitureIds) {
+  return this.refreshCosts({ 'furniture.furnitureId': { $in: furnitureIds } });
+};
+
 // Pre-save middleware to calculate metadata
-templateSchema.pre('save', function(next) {
-  // Calculate total cost
-  this.metadata.totalCost = this.furniture.reduce((total, item) => {
-    const furniture = item.furnitureId;
-    return total + (furniture?.price || 0);
-  }, 0);
-  
+templateSchema.pre('save', async function() {
+  // Re-price when the furniture list changes
+  if (this.isNew || this.isModified('furniture')) {
+    await this.calculateCost();
+  }
+
   // Calculate furniture count
   this.metadata.furnitureCount = this.furniture.length;
-  
+
   // Calculate wall count
   this.metadata.wallCount = this.walls.length;
-  
+
   // Calculate window count
   this.metadata.windowCount = this.windows.length;
-  
-  next();
 });
 
 module.exports = mongoose.model('Template', templateSchema);
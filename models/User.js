@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { BASE_CURRENCY, CURRENCIES } = require('../utils/currency');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -67,6 +68,12 @@ const userSchema = new mongoose.Schema({
       enum: ['metric', 'imperial'],
       default: 'metric'
     },
+    // Currency prices are shown in when a request doesn't name one
+    currency: {
+      type: String,
+      enum: CURRENCIES,
+      default: BASE_CURRENCY
+    },
     notifications: {
       email: {
         type: Boolean,
@@ -102,6 +109,11 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
+const { CURRENCIES } = require('../utils/currency');
 
 const router = express.Router();
 
@@ -310,7 +311,11 @@ router.put('/profile', [
   body('preferences.units')
     .optional()
     .isIn(['metric', 'imperial'])
-    .withMessage('Units must be either metric or imperial')
+    .withMessage('Units must be either metric or imperial'),
+  body('preferences.currency')
+    .optional()
+    .isIn(CURRENCIES)
+    .withMessage(`Currency must be one of: ${CURRENCIES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
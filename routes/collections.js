@@ -0,0 +1,531 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Collection = require('../models/Collection');
+const Furniture = require('../models/Furniture');
+const Template = require('../models/Template');
+const { authenticateToken, optionalAuth, requireOwnershipOrCollaboration, createRateLimit } = require('../middleware/auth');
+const { currencyRules, loadConversion, describeConversion } = require('../middleware/currency');
+const { toValidationErrors } = require('../utils/modelErrors');
+const { convertPricing, convertTotals } = require('../utils/currency');
+
+const router = express.Router();
+
+const isOwner = requireOwnershipOrCollaboration(Collection, 'id', { ownerField: 'user', minRole: 'owner' });
+const sharedRateLimit = createRateLimit(15 * 60 * 1000, 100, 'Too many shared collection requests, please try again later.');
+
+const ITEM_MODELS = { furniture: Furniture, template: Template };
+const FURNITURE_FIELDS = 'name brand category images pricing currency availability isActive';
+const TEMPLATE_FIELDS = 'name category style thumbnail isActive isPremium requirements metadata.totalCost metadata.currency metadata.costsByCurrency';
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendModelValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: toValidationErrors(error)
+});
+
+const collectionRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(body('name'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name is required and cannot exceed 100 characters'),
+    body('description')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    body('isPublic')
+      .optional()
+      .isBoolean()
+      .withMessage('isPublic must be a boolean')
+  ];
+};
+
+const noteRule = body('note')
+  .optional({ values: 'null' })
+  .isString()
+  .isLength({ max: 500 })
+  .withMessage('Note cannot exceed 500 characters');
+
+// Why an item can't be bought right now, if it can't: removed from the
+// catalog, deactivated, or (furniture only) out of stock
+const itemFlags = (kind, doc) => {
+  if (!doc) return ['removed'];
+  const flags = [];
+  if (!doc.isActive) flags.push('inactive');
+  if (kind === 'furniture' && (!doc.availability.inStock || doc.availability.quantity === 0)) {
+    flags.push('outOfStock');
+  }
+  return flags;
+};
+
+// A collection with its items populated, flagged and priced in the
+// requested currency. The total leaves out flagged items.
+const buildCollectionView = async (collection, { conversion, plan, owner }) => {
+  await collection.populate([
+    { path: 'items.furniture', select: FURNITURE_FIELDS },
+    { path: 'items.template', select: TEMPLATE_FIELDS },
+    { path: 'user', select: 'firstName lastName' }
+  ]);
+  const { currency, rates } = conversion;
+
+  const totals = [];
+  let excluded = 0;
+  const items = collection.items.map(item => {
+    const doc = item[item.kind];
+    const flags = itemFlags(item.kind, doc);
+    const view = { _id: item._id, kind: item.kind, note: item.note, addedAt: item.addedAt, flags };
+
+    if (item.kind === 'furniture') {
+      view.furniture = doc ? { ...doc.toJSON(), converted: convertPricing(doc, currency, rates) } : null;
+      if (doc && flags.length === 0) totals.push({ currency: doc.currency, total: doc.currentPrice });
+    } else {
+      view.template = doc
+        ? {
+          ...doc.toObject(),
+          canAccess: doc.canAccess(plan),
+          convertedCost: convertTotals(doc.getCostTotals(), currency, rates)
+        }
+        : null;
+      if (doc && flags.length === 0) totals.push(...doc.getCostTotals());
+    }
+    if (flags.length > 0) excluded += 1;
+    return view;
+  });
+
+  return {
+    _id: collection._id,
+    name: collection.name,
+    description: collection.description,
+    isPublic: collection.isPublic,
+    ...(owner ? { shareToken: collection.shareToken } : {}),
+    owner: collection.user ? { firstName: collection.user.firstName, lastName: collection.user.lastName } : null,
+    items,
+    totalCost: { ...convertTotals(totals, currency, rates), excludedItems: excluded },
+    createdAt: collection.createdAt,
+    updatedAt: collection.updatedAt
+  };
+};
+
+// @route   GET /api/collections
+// @desc    The user's collections, most recently changed first
+// @access  Private
+router.get('/', [
+  authenticateToken,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { user: req.user._id };
+
+    const [collections, total] = await Promise.all([
+      Collection.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Collection.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        collections: collections.map(({ items, ...collection }) => ({ ...collection, itemCount: items.length })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching collections'
+    });
+  }
+});
+
+// @route   POST /api/collections
+// @desc    Create a collection
+// @access  Private
+router.post('/', [
+  authenticateToken,
+  ...collectionRules(false)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const collection = await Collection.create({
+      user: req.user._id,
+      name: req.body.name,
+      description: req.body.description,
+      isPublic: req.body.isPublic
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: { collection }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendModelValidationError(res, error);
+    }
+    console.error('Create collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating collection'
+    });
+  }
+});
+
+// @route   GET /api/collections/shared/:token
+// @desc    View a public collection through its share link
+// @access  Public
+router.get('/shared/:token', [
+  sharedRateLimit,
+  optionalAuth,
+  ...currencyRules,
+  loadConversion
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const collection = await Collection.findOne({ shareToken: String(req.params.token), isPublic: true });
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const owner = Boolean(req.user) && collection.user.equals(req.user._id);
+    res.json({
+      success: true,
+      data: {
+        collection: await buildCollectionView(collection, {
+          conversion: req.conversion,
+          plan: req.user ? req.user.subscription.plan : 'free',
+          owner
+        }),
+        isOwner: owner,
+        exchangeRate: describeConversion(req.conversion)
+      }
+    });
+  } catch (error) {
+    console.error('Get shared collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching collection'
+    });
+  }
+});
+
+// @route   GET /api/collections/:id
+// @desc    Get a collection with its items, flags and total cost
+// @access  Private (owner)
+router.get('/:id', [
+  authenticateToken,
+  isOwner,
+  ...currencyRules,
+  loadConversion
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    res.json({
+      success: true,
+      data: {
+        collection: await buildCollectionView(req.resource, {
+          conversion: req.conversion,
+          plan: req.user.subscription.plan,
+          owner: true
+        }),
+        exchangeRate: describeConversion(req.conversion)
+      }
+    });
+  } catch (error) {
+    console.error('Get collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching collection'
+    });
+  }
+});
+
+// @route   PUT /api/collections/:id
+// @desc    Rename a collection or change its visibility
+// @access  Private (owner)
+router.put('/:id', [
+  authenticateToken,
+  isOwner,
+  ...collectionRules(true)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const collection = req.resource;
+    ['name', 'description', 'isPublic'].forEach(field => {
+      if (req.body[field] !== undefined) collection[field] = req.body[field];
+    });
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: { collection }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendModelValidationError(res, error);
+    }
+    console.error('Update collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating collection'
+    });
+  }
+});
+
+// @route   DELETE /api/collections/:id
+// @desc    Delete a collection
+// @access  Private (owner)
+router.delete('/:id', authenticateToken, isOwner, async (req, res) => {
+  try {
+    await req.resource.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting collection'
+    });
+  }
+});
+
+// @route   POST /api/collections/:id/share-token
+// @desc    Replace the share link; the old link stops working
+// @access  Private (owner)
+router.post('/:id/share-token', authenticateToken, isOwner, async (req, res) => {
+  try {
+    const collection = req.resource;
+    collection.rotateShareToken();
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Share link replaced',
+      data: { shareToken: collection.shareToken, isPublic: collection.isPublic }
+    });
+  } catch (error) {
+    console.error('Rotate collection share token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while replacing share link'
+    });
+  }
+});
+
+// @route   POST /api/collections/:id/items
+// @desc    Add a furniture item or template to the end of a collection
+// @access  Private (owner)
+router.post('/:id/items', [
+  authenticateToken,
+  isOwner,
+  body('kind')
+    .isIn(['furniture', 'template'])
+    .withMessage('Kind must be furniture or template'),
+  body('itemId')
+    .isMongoId()
+    .withMessage('Item id must be a valid id'),
+  noteRule
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const collection = req.resource;
+    const { kind, itemId, note } = req.body;
+
+    const exists = await ITEM_MODELS[kind].exists({ _id: itemId, isActive: true });
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        message: `${kind === 'furniture' ? 'Furniture item' : 'Template'} not found`
+      });
+    }
+    if (collection.findItem(kind, itemId)) {
+      return res.status(409).json({
+        success: false,
+        message: `This ${kind} is already in the collection`
+      });
+    }
+
+    collection.items.push({ kind, [kind]: itemId, note });
+    await collection.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Item added to collection',
+      data: { item: collection.items[collection.items.length - 1] }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendModelValidationError(res, error);
+    }
+    console.error('Add collection item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding item to collection'
+    });
+  }
+});
+
+// @route   PUT /api/collections/:id/order
+// @desc    Reorder a collection (`itemIds` lists every item id in the new order)
+// @access  Private (owner)
+router.put('/:id/order', [
+  authenticateToken,
+  isOwner,
+  body('itemIds')
+    .isArray()
+    .withMessage('Item ids must be an array'),
+  body('itemIds.*')
+    .isMongoId()
+    .withMessage('Item ids must be valid ids')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const collection = req.resource;
+    const { itemIds } = req.body;
+    const current = collection.items.map(item => item._id.toString());
+    if (itemIds.length !== current.length || new Set(itemIds).size !== itemIds.length ||
+        !itemIds.every(id => current.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Item ids must list every item in the collection exactly once'
+      });
+    }
+
+    const byId = new Map(collection.items.map(item => [item._id.toString(), item.toObject()]));
+    collection.items = itemIds.map(id => byId.get(id));
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection reordered',
+      data: { itemIds: collection.items.map(item => item._id) }
+    });
+  } catch (error) {
+    console.error('Reorder collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering collection'
+    });
+  }
+});
+
+// @route   PUT /api/collections/:id/items/:itemId
+// @desc    Change the note on a collection item
+// @access  Private (owner)
+router.put('/:id/items/:itemId', [
+  authenticateToken,
+  isOwner,
+  noteRule
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const collection = req.resource;
+    const item = mongoose.isValidObjectId(req.params.itemId) ? collection.items.id(req.params.itemId) : null;
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection item not found'
+      });
+    }
+
+    item.note = req.body.note;
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection item updated',
+      data: { item }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendModelValidationError(res, error);
+    }
+    console.error('Update collection item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating collection item'
+    });
+  }
+});
+
+// @route   DELETE /api/collections/:id/items/:itemId
+// @desc    Remove an item from a collection
+// @access  Private (owner)
+router.delete('/:id/items/:itemId', authenticateToken, isOwner, async (req, res) => {
+  try {
+    const collection = req.resource;
+    const item = mongoose.isValidObjectId(req.params.itemId) ? collection.items.id(req.params.itemId) : null;
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection item not found'
+      });
+    }
+
+    item.deleteOne();
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Item removed from collection'
+    });
+  } catch (error) {
+    console.error('Remove collection item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing collection item'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,98 @@
  const express = require('express');
+ const jwt = require('jsonwebtoken');
+ const bcrypt = require('bcryptjs');
  const router = express.Router();
- const { body, validationResult } = require('express-validator');
- const { authenticateToken } = require('../middleware/auth');
+ const { body, param, query, validationResult } = require('express-validator');
+ const { authenticateToken, requireOwnershipOrCollaboration, createRateLimit } = require('../middleware/auth');
  const DesignFile = require('../models/DesignFile');
+ const User = require('../models/User');
+ const DesignFileRevision = require('../models/DesignFileRevision');
+ const Furniture = require('../models/Furniture');
+ const CatalogEvent = require('../models/CatalogEvent');
+ const { sanitizeScene, getAddedFurnitureIds } = require('../utils/scene');
+ const { validateScene, normalizeScene } = require('../utils/sceneSchema');
+ const { MAX_OPERATIONS, JsonPatchError, applyScenePatch } = require('../utils/scenePatch');
+ const { buildBillOfMaterials, billOfMaterialsToCsv } = require('../utils/billOfMaterials');
+
+// Access checks by collaborator role; owners pass every check. Nothing
+// requires `commenter` yet, so commenters get the same access as viewers.
+const canView = requireOwnershipOrCollaboration(DesignFile, 'id', { ownerField: 'user', minRole: 'viewer' });
+const canEdit = requireOwnershipOrCollaboration(DesignFile, 'id', { ownerField: 'user', minRole: 'editor' });
+const isOwner = requireOwnershipOrCollaboration(DesignFile, 'id', { ownerField: 'user', minRole: 'owner' });
+
+const populateCollaborators = (file) =>
+  file.populate('collaborators.user', 'firstName lastName email avatar');
+
+// Revision retention follows the file owner's plan, whoever saved
+const getOwnerPlan = async (file, user) => {
+  if (file.user.toString() === user._id.toString()) return user.subscription?.plan;
+  const owner = await User.findById(file.user).select('subscription.plan');
+  return owner?.subscription?.plan;
+};
+
+// Snapshot a saved file and drop revisions beyond the owner's plan limit
+const recordRevision = async (file, user, action, restoredFrom = null) => {
+  await DesignFileRevision.record(file, user._id, action, restoredFrom);
+  await DesignFileRevision.prune(file._id, await getOwnerPlan(file, user));
+};
+
+// Count newly placed catalog items towards trending (not awaited; tracking
+// never fails a save)
+const recordPlacements = (file, user, before, after) => {
+  CatalogEvent.record('add-to-design', getAddedFurnitureIds(before, after), { user: user._id, designFile: file._id });
+};
+
+// Reply 400 with one error per invalid scene path
+const sendSceneErrors = (res, errors, message = 'Invalid scene data') =>
+  res.status(400).json({ success: false, message, errors });
+
+// Share tokens are signed and carry the link's expiry, so a token can be
+// re-issued for the same link at any time
+const generateShareToken = (file, link) => {
+  const payload = { type: 'design-share', fileId: file._id.toString(), linkId: link._id.toString() };
+  if (link.expiresAt) payload.exp = Math.floor(link.expiresAt.getTime() / 1000);
+  return jwt.sign(payload, process.env.JWT_SECRET, { noTimestamp: true });
+};
+
+const formatShareLink = (file, link) => ({
+  id: link._id,
+  label: link.label,
+  token: generateShareToken(file, link),
+  hasPassword: Boolean(link.passwordHash),
+  expiresAt: link.expiresAt,
+  views: link.views,
+  lastViewedAt: link.lastViewedAt,
+  revokedAt: link.revokedAt,
+  status: file.getShareLinkStatus(link),
+  createdAt: link.createdAt,
+});
+
+const shareLinkRateLimit = createRateLimit(15 * 60 * 1000, 100, 'Too many shared design requests, please try again later.');
+
+// Check an If-Match header against the file's ETag (no header always matches)
+const matchesIfMatch = (req, file) => {
+  const header = req.get('If-Match');
+  if (!header) return true;
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .some(tag => tag === '*' || tag === file.getETag());
+};
+
+// Reply 409 with the current server copy so the client can merge or retry
+const sendConflict = async (res, fileId) => {
+  const current = await DesignFile.findById(fileId);
+  if (!current) {
+    return res.status(404).json({ success: false, message: 'File not found' });
+  }
+  res.set('ETag', current.getETag());
+  res.status(409).json({
+    success: false,
+    message: 'File was changed by someone else',
+    currentRevision: current.revision,
+    data: current,
+  });
+};
 
  // List files for current user
 router.get('/', authenticateToken, async (req, res) => {
@@ -10,7 +100,8 @@ router.get('/', authenticateToken, async (req, res) => {
     console.log('req.user', req.user);
     const userId = (req.user && (req.user._id || req.user.id))?.toString();
     if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
-    const files = await DesignFile.find({ user: userId }).sort({ updatedAt: -1 });
+    const files = await DesignFile.find({ $or: [{ user: userId }, { 'collaborators.user': userId }] })
+      .sort({ updatedAt: -1 });
     res.json({ success: true, data: files });
   } catch (err) {
     console.error(err);
@@ -18,14 +109,69 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
- // Get single file
-router.get('/:id', authenticateToken, async (req, res) => {
+// View a shared file through a share link token (no account needed)
+router.get('/shared/:token', shareLinkRateLimit, async (req, res) => {
   try {
-    const userId = (req.user && (req.user._id || req.user.id))?.toString();
-    const file = await DesignFile.findById(req.params.id);
-    if (!file || file.user.toString() !== userId) {
-      return res.status(404).json({ success: false, message: 'File not found' });
+    let decoded;
+    try {
+      decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+    } catch (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(410).json({ success: false, message: 'Share link has expired' });
+      }
+      return res.status(404).json({ success: false, message: 'Share link not found' });
     }
+    if (decoded.type !== 'design-share') {
+      return res.status(404).json({ success: false, message: 'Share link not found' });
+    }
+
+    const file = await DesignFile.findById(decoded.fileId);
+    const link = file && file.shareLinks.id(decoded.linkId);
+    if (!link) {
+      return res.status(404).json({ success: false, message: 'Share link not found' });
+    }
+    const status = file.getShareLinkStatus(link);
+    if (status !== 'active') {
+      return res.status(410).json({ success: false, message: `Share link has ${status === 'revoked' ? 'been revoked' : 'expired'}` });
+    }
+
+    if (link.passwordHash) {
+      const password = req.get('X-Share-Password');
+      if (!password || !(await bcrypt.compare(password, link.passwordHash))) {
+        return res.status(401).json({
+          success: false,
+          message: password ? 'Incorrect password' : 'Password required',
+          passwordRequired: true,
+        });
+      }
+    }
+
+    await DesignFile.updateOne(
+      { _id: file._id, 'shareLinks._id': link._id },
+      { $inc: { 'shareLinks.$.views': 1 }, $set: { 'shareLinks.$.lastViewedAt': new Date() } }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        name: file.name,
+        description: file.description,
+        sceneData: sanitizeScene(file.sceneData),
+        updatedAt: file.updatedAt,
+        readOnly: true,
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+ // Get single file
+router.get('/:id', authenticateToken, canView, async (req, res) => {
+  try {
+    const file = req.resource;
+    res.set('ETag', file.getETag());
     res.json({ success: true, data: file });
   } catch (err) {
     console.error(err);
@@ -47,15 +193,22 @@ router.get('/:id', authenticateToken, async (req, res) => {
      if (!errors.isEmpty()) {
        return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
      }
+     const scene = normalizeScene(req.body.sceneData);
+     if (scene.errors.length > 0) {
+       return sendSceneErrors(res, scene.errors);
+     }
      try {
       const userId = (req.user && (req.user._id || req.user.id))?.toString();
        const file = new DesignFile({
         user: userId,
          name: req.body.name,
          description: req.body.description,
-         sceneData: req.body.sceneData,
+         sceneData: scene.sceneData,
        });
        await file.save();
+       await recordRevision(file, req.user, 'create');
+       recordPlacements(file, req.user, null, file.sceneData);
+       res.set('ETag', file.getETag());
        res.status(201).json({ success: true, data: file, message: 'Saved successfully' });
      } catch (err) {
        console.error(err);
@@ -68,10 +221,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
  router.put(
    '/:id',
    authenticateToken,
+   canEdit,
    [
      body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be under 100 chars'),
      body('description').optional().isLength({ max: 300 }).withMessage('Description must be under 300 chars'),
      body('sceneData').optional(),
+     body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean'),
    ],
   async (req, res) => {
      const errors = validationResult(req);
@@ -79,32 +234,110 @@ router.get('/:id', authenticateToken, async (req, res) => {
        return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
      }
      try {
-      const userId = (req.user && (req.user._id || req.user.id))?.toString();
-       const file = await DesignFile.findById(req.params.id);
-      if (!file || file.user.toString() !== userId) {
-         return res.status(404).json({ success: false, message: 'File not found' });
+      const file = req.resource;
+       if (!matchesIfMatch(req, file)) {
+         return sendConflict(res, file._id);
        }
        if (req.body.name !== undefined) file.name = req.body.name;
        if (req.body.description !== undefined) file.description = req.body.description;
-       if (req.body.sceneData !== undefined) file.sceneData = req.body.sceneData;
+       const previousScene = file.sceneData;
+       if (req.body.sceneData !== undefined) {
+         const scene = normalizeScene(req.body.sceneData);
+         if (scene.errors.length > 0) {
+           return sendSceneErrors(res, scene.errors);
+         }
+         file.sceneData = scene.sceneData;
+       }
+       if (req.body.isPublic !== undefined) {
+         if (req.accessRole !== 'owner') {
+           return res.status(403).json({ success: false, message: 'Only the owner can change visibility' });
+         }
+         file.isPublic = req.body.isPublic;
+       }
+       const previousRevision = file.revision;
        await file.save();
+       if (file.revision !== previousRevision) {
+         await recordRevision(file, req.user, 'update');
+         recordPlacements(file, req.user, previousScene, file.sceneData);
+       }
+       res.set('ETag', file.getETag());
        res.json({ success: true, data: file, message: 'Updated successfully' });
      } catch (err) {
+       if (err.name === 'DocumentNotFoundError') {
+         return sendConflict(res, req.params.id);
+       }
        console.error(err);
        res.status(500).json({ success: false, message: 'Server error' });
      }
    }
  );
 
-// Delete a file
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Apply JSON Patch (RFC 6902) operations to sceneData
+router.patch('/:id', authenticateToken, canEdit, async (req, res) => {
+  const operations = req.body;
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return res.status(400).json({ success: false, message: 'Request body must be a non-empty JSON Patch array' });
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    return res.status(400).json({ success: false, message: `A patch cannot exceed ${MAX_OPERATIONS} operations` });
+  }
   try {
-    const userId = (req.user && (req.user._id || req.user.id))?.toString();
-    const file = await DesignFile.findById(req.params.id);
-    if (!file || file.user.toString() !== userId) {
-      return res.status(404).json({ success: false, message: 'File not found' });
+    const file = req.resource;
+    if (!matchesIfMatch(req, file)) {
+      return sendConflict(res, file._id);
+    }
+
+    let patch;
+    try {
+      patch = applyScenePatch(file.sceneData, operations);
+    } catch (err) {
+      if (!(err instanceof JsonPatchError)) throw err;
+      // A failed `test` means the client is working from a stale scene
+      if (err.name === 'TEST_OPERATION_FAILED') {
+        return sendConflict(res, file._id);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patch',
+        errors: [{ index: err.index, op: err.operation, code: err.name, msg: err.message.split('\n')[0] }],
+      });
+    }
+
+    const sceneErrors = validateScene(patch.sceneData);
+    if (sceneErrors.length > 0) {
+      return sendSceneErrors(res, sceneErrors, 'Patch would break the scene structure');
     }
+
+    // Write only the touched paths, guarded by the revision we patched against.
+    // A scene still stored under an older schema version is written whole.
+    const updatedAt = new Date();
+    const update = file.$locals.sceneMigratedFrom ? { $set: { sceneData: patch.sceneData } } : patch.update;
+    const result = await DesignFile.updateOne(
+      { _id: file._id, revision: file.revision },
+      { ...update, $set: { ...update.$set, revision: file.revision + 1, updatedAt } }
+    );
+    if (result.matchedCount === 0) {
+      return sendConflict(res, file._id);
+    }
+
+    const previousScene = file.sceneData;
+    file.set({ sceneData: patch.sceneData, revision: file.revision + 1, updatedAt });
+    await recordRevision(file, req.user, 'update');
+    recordPlacements(file, req.user, previousScene, patch.sceneData);
+    res.set('ETag', file.getETag());
+    res.json({ success: true, data: file, message: 'Patched successfully' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Delete a file
+router.delete('/:id', authenticateToken, isOwner, async (req, res) => {
+  try {
+    const file = req.resource;
     await DesignFile.deleteOne({ _id: file._id });
+    await DesignFileRevision.deleteMany({ designFile: file._id });
     res.json({ success: true, message: 'Deleted successfully' });
   } catch (err) {
     console.error(err);
@@ -112,6 +345,296 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Bill of materials: scene furniture priced against the catalog (JSON or CSV)
+router.get(
+  '/:id/bill-of-materials',
+  authenticateToken,
+  canView,
+  [query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    try {
+      const file = req.resource;
+      const bill = buildBillOfMaterials(file.sceneData, await Furniture.findForScene(file.sceneData));
+
+      if (req.query.format === 'csv') {
+        const fileName = `${(file.name || 'design').replace(/[^a-z0-9_-]+/gi, '-').replace(/^-+|-+$/g, '') || 'design'}-bom.csv`;
+        res.set({
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${fileName}"`,
+        });
+        return res.send(billOfMaterialsToCsv(bill));
+      }
+
+      res.json({
+        success: true,
+        data: {
+          designFile: { _id: file._id, name: file.name, revision: file.revision },
+          generatedAt: new Date(),
+          ...bill,
+        },
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// List revisions of a file (newest first, without scene data)
+router.get('/:id/revisions', authenticateToken, canView, async (req, res) => {
+  try {
+    const file = req.resource;
+    const revisions = await DesignFileRevision.find({ designFile: file._id })
+      .select('-sceneData')
+      .sort({ revision: -1 });
+    res.json({
+      success: true,
+      data: {
+        currentRevision: file.revision,
+        retentionLimit: DesignFileRevision.getRetentionLimit(await getOwnerPlan(file, req.user)),
+        revisions,
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get a single revision including its scene data
+router.get(
+  '/:id/revisions/:revision',
+  authenticateToken,
+  canView,
+  [param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    try {
+      const file = req.resource;
+      const revision = await DesignFileRevision.findOne({
+        designFile: file._id,
+        revision: parseInt(req.params.revision),
+      });
+      if (!revision) {
+        return res.status(404).json({ success: false, message: 'Revision not found' });
+      }
+      res.json({ success: true, data: revision });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// Restore a revision as the current state (recorded as a new revision)
+router.post(
+  '/:id/revisions/:revision/restore',
+  authenticateToken,
+  canEdit,
+  [param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    try {
+      const file = req.resource;
+      const revision = await DesignFileRevision.findOne({
+        designFile: file._id,
+        revision: parseInt(req.params.revision),
+      });
+      if (!revision) {
+        return res.status(404).json({ success: false, message: 'Revision not found' });
+      }
+      if (!matchesIfMatch(req, file)) {
+        return sendConflict(res, file._id);
+      }
+      // Revisions keep the schema version they were saved under
+      const scene = normalizeScene(revision.sceneData);
+      if (scene.errors.length > 0) {
+        return sendSceneErrors(res, scene.errors, 'Revision cannot be restored under the current scene schema');
+      }
+      file.name = revision.name;
+      file.description = revision.description;
+      file.sceneData = scene.sceneData;
+      file.markModified('sceneData');
+      await file.save();
+      await recordRevision(file, req.user, 'restore', revision.revision);
+      res.set('ETag', file.getETag());
+      res.json({ success: true, data: file, message: `Restored revision ${revision.revision}` });
+    } catch (err) {
+      if (err.name === 'DocumentNotFoundError') {
+        return sendConflict(res, req.params.id);
+      }
+      console.error(err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// Invite a collaborator by email
+router.post(
+  '/:id/collaborators',
+  authenticateToken,
+  isOwner,
+  [
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+    body('role').optional().isIn(['viewer', 'commenter', 'editor']).withMessage('Role must be viewer, commenter or editor'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    try {
+      const file = req.resource;
+      const invitee = await User.findOne({ email: req.body.email, isActive: true });
+      if (!invitee) {
+        return res.status(404).json({ success: false, message: 'No user with that email' });
+      }
+      if (invitee._id.toString() === file.user.toString()) {
+        return res.status(400).json({ success: false, message: 'The owner cannot be added as a collaborator' });
+      }
+      if (file.collaborators.some(collab => collab.user.toString() === invitee._id.toString())) {
+        return res.status(400).json({ success: false, message: 'User is already a collaborator' });
+      }
+      file.collaborators.push({ user: invitee._id, role: req.body.role || 'viewer', addedBy: req.user._id });
+      await file.save();
+      await populateCollaborators(file);
+      res.status(201).json({ success: true, data: file.collaborators, message: 'Collaborator added' });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// Change a collaborator's role
+router.put(
+  '/:id/collaborators/:userId',
+  authenticateToken,
+  isOwner,
+  [body('role').isIn(['viewer', 'commenter', 'editor']).withMessage('Role must be viewer, commenter or editor')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    try {
+      const file = req.resource;
+      const collaborator = file.collaborators.find(collab => collab.user.toString() === req.params.userId);
+      if (!collaborator) {
+        return res.status(404).json({ success: false, message: 'Collaborator not found' });
+      }
+      collaborator.role = req.body.role;
+      await file.save();
+      await populateCollaborators(file);
+      res.json({ success: true, data: file.collaborators, message: 'Collaborator role updated' });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// Remove a collaborator (owners remove anyone, collaborators can remove themselves)
+router.delete('/:id/collaborators/:userId', authenticateToken, canView, async (req, res) => {
+  try {
+    const file = req.resource;
+    if (req.accessRole !== 'owner' && req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: 'Only the owner can remove other collaborators' });
+    }
+    const collaborator = file.collaborators.find(collab => collab.user.toString() === req.params.userId);
+    if (!collaborator) {
+      return res.status(404).json({ success: false, message: 'Collaborator not found' });
+    }
+    file.collaborators.pull(collaborator._id);
+    await file.save();
+    res.json({ success: true, message: 'Collaborator removed' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// List share links for a file
+router.get('/:id/share-links', authenticateToken, isOwner, async (req, res) => {
+  try {
+    const file = req.resource;
+    res.json({ success: true, data: file.shareLinks.map(link => formatShareLink(file, link)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Create a read-only share link
+router.post(
+  '/:id/share-links',
+  authenticateToken,
+  isOwner,
+  [
+    body('label').optional().trim().isLength({ max: 100 }).withMessage('Label must be under 100 chars'),
+    body('expiresAt')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('expiresAt must be a valid date')
+      .custom(value => new Date(value) > new Date())
+      .withMessage('expiresAt must be in the future'),
+    body('password').optional().isLength({ min: 4, max: 100 }).withMessage('Password must be 4 to 100 chars'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    try {
+      const file = req.resource;
+      const passwordHash = req.body.password
+        ? await bcrypt.hash(req.body.password, await bcrypt.genSalt(10))
+        : null;
+      file.shareLinks.push({
+        label: req.body.label,
+        passwordHash,
+        expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt) : null,
+        createdBy: req.user._id,
+      });
+      await file.save();
+      const link = file.shareLinks[file.shareLinks.length - 1];
+      res.status(201).json({ success: true, data: formatShareLink(file, link), message: 'Share link created' });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// Revoke a share link (kept for its view count)
+router.delete('/:id/share-links/:linkId', authenticateToken, isOwner, async (req, res) => {
+  try {
+    const file = req.resource;
+    const link = file.shareLinks.id(req.params.linkId);
+    if (!link) {
+      return res.status(404).json({ success: false, message: 'Share link not found' });
+    }
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await file.save();
+    }
+    res.json({ success: true, data: formatShareLink(file, link), message: 'Share link revoked' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
  module.exports = router;
 
 
@@ -0,0 +1,265 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { toValidationErrors } = require('../utils/modelErrors');
+const { BASE_CURRENCY, CURRENCIES } = require('../utils/currency');
+
+const router = express.Router();
+
+const QUOTED_CURRENCIES = CURRENCIES.filter(currency => currency !== BASE_CURRENCY);
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Request-shape checks; on update every field is optional
+const rateRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(body('effectiveDate'))
+      .isISO8601()
+      .withMessage('Effective date must be an ISO 8601 date'),
+    ...QUOTED_CURRENCIES.map(currency => required(body(`rates.${currency}`))
+      .isFloat({ gt: 0 })
+      .withMessage(`${currency} rate must be a positive number`)),
+    body('rates')
+      .optional()
+      .custom(rates => Object.keys(rates).every(currency => QUOTED_CURRENCIES.includes(currency)))
+      .withMessage(`Rates can only be given for ${QUOTED_CURRENCIES.join(', ')}`),
+    body('note')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Note cannot exceed 200 characters')
+  ];
+};
+
+const sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: toValidationErrors(error)
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(409).json({
+      success: false,
+      message: 'A rate table already takes effect at this date'
+    });
+    return true;
+  }
+  return false;
+};
+
+// Rate table by id for admin routes, or a 404
+const findTable = async (req, res) => {
+  const table = mongoose.isValidObjectId(req.params.id) ? await ExchangeRate.findById(req.params.id) : null;
+  if (!table) {
+    res.status(404).json({ success: false, message: 'Exchange rate table not found' });
+  }
+  return table;
+};
+
+// @route   GET /api/exchange-rates/current
+// @desc    Exchange rates in force now (or at `at`), per one USD
+// @access  Public
+router.get('/current', [
+  query('at')
+    .optional()
+    .isISO8601()
+    .withMessage('At must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const table = await ExchangeRate.findInForce(req.query.at ? new Date(req.query.at) : new Date());
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: 'No exchange rates are in force at this date'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        base: BASE_CURRENCY,
+        rateDate: table.effectiveDate,
+        rates: { [BASE_CURRENCY]: 1, ...table.toObject().rates }
+      }
+    });
+  } catch (error) {
+    console.error('Get current exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exchange rates'
+    });
+  }
+});
+
+// @route   GET /api/exchange-rates
+// @desc    All rate tables, latest effective date first
+// @access  Admin
+router.get('/', [
+  authenticateToken,
+  requireAdmin,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const [tables, total, inForce] = await Promise.all([
+      ExchangeRate.find()
+        .sort({ effectiveDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('createdBy updatedBy', 'firstName lastName email'),
+      ExchangeRate.countDocuments(),
+      ExchangeRate.findInForce().select('_id')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        exchangeRates: tables.map(table => ({
+          ...table.toObject(),
+          inForce: Boolean(inForce) && inForce._id.equals(table._id)
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exchange rates'
+    });
+  }
+});
+
+// @route   POST /api/exchange-rates
+// @desc    Add a rate table taking effect at `effectiveDate` (rates per one
+//          USD for every other currency)
+// @access  Admin
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  ...rateRules(false)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const table = await ExchangeRate.create({
+      effectiveDate: req.body.effectiveDate,
+      rates: req.body.rates,
+      note: req.body.note,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rates added successfully',
+      data: { exchangeRate: table }
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) return;
+    console.error('Create exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding exchange rates'
+    });
+  }
+});
+
+// @route   PUT /api/exchange-rates/:id
+// @desc    Correct a rate table (rates given are merged in)
+// @access  Admin
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  ...rateRules(true)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const table = await findTable(req, res);
+    if (!table) return;
+
+    if (req.body.effectiveDate !== undefined) table.effectiveDate = req.body.effectiveDate;
+    if (req.body.note !== undefined) table.note = req.body.note;
+    Object.entries(req.body.rates || {}).forEach(([currency, rate]) => {
+      table.rates[currency] = rate;
+    });
+    table.updatedBy = req.user._id;
+    await table.save();
+
+    res.json({
+      success: true,
+      message: 'Exchange rates updated successfully',
+      data: { exchangeRate: table }
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) return;
+    console.error('Update exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating exchange rates'
+    });
+  }
+});
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Remove a rate table (the one before it stays in force instead)
+// @access  Admin
+router.delete('/:id', [
+  authenticateToken,
+  requireAdmin
+], async (req, res) => {
+  try {
+    const table = await findTable(req, res);
+    if (!table) return;
+
+    await table.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Exchange rates deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting exchange rates'
+    });
+  }
+});
+
+module.exports = router;
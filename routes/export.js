@@ -0,0 +1,165 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const DesignFile = require('../models/DesignFile');
+const Furniture = require('../models/Furniture');
+const Template = require('../models/Template');
+const { authenticateToken, getResourceRole } = require('../middleware/auth');
+const { sceneFromTemplate } = require('../utils/sceneSchema');
+const { buildSceneGlb } = require('../utils/gltf');
+const { buildFloorPlan, renderFloorPlanSvg } = require('../utils/floorPlan');
+const { renderFloorPlanPdf } = require('../utils/floorPlanPdf');
+
+const router = express.Router();
+
+// Load a design file the user owns, collaborates on, or that is public
+const findViewableDesignFile = async (id, user) => {
+  const file = await DesignFile.findById(id);
+  if (!file) return null;
+  return getResourceRole(file, user, 'user') || file.isPublic ? file : null;
+};
+
+// File name safe for Content-Disposition
+const toFileName = (name, extension) =>
+  `${(name || 'design').replace(/[^a-z0-9_-]+/gi, '-').replace(/^-+|-+$/g, '') || 'design'}.${extension}`;
+
+// @route   POST /api/export/gltf
+// @desc    Export a design file as binary glTF (GLB)
+// @access  Private
+router.post('/gltf', [
+  authenticateToken,
+  body('designFileId')
+    .isMongoId()
+    .withMessage('Valid design file id is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const file = await findViewableDesignFile(req.body.designFileId, req.user);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Design file not found'
+      });
+    }
+
+    const furnitureById = await Furniture.findForScene(file.sceneData);
+    const glb = buildSceneGlb({ name: file.name, sceneData: file.sceneData, furnitureById });
+
+    res.set({
+      'Content-Type': 'model/gltf-binary',
+      'Content-Disposition': `attachment; filename="${toFileName(file.name, 'glb')}"`,
+      'Content-Length': glb.length
+    });
+    res.send(glb);
+  } catch (error) {
+    console.error('glTF export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting glTF'
+    });
+  }
+});
+
+// @route   POST /api/export/floor-plan
+// @desc    Export a design file or template as a dimensioned 2D floor plan (SVG or PDF)
+// @access  Private
+router.post('/floor-plan', [
+  authenticateToken,
+  body('designFileId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid design file id is required'),
+  body('templateId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid template id is required'),
+  body()
+    .custom(value => Boolean(value.designFileId) !== Boolean(value.templateId))
+    .withMessage('Provide either designFileId or templateId'),
+  body('format')
+    .optional()
+    .isIn(['svg', 'pdf'])
+    .withMessage('Format must be svg or pdf')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let name;
+    let sceneData;
+    if (req.body.designFileId) {
+      const file = await findViewableDesignFile(req.body.designFileId, req.user);
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'Design file not found'
+        });
+      }
+      name = file.name;
+      sceneData = file.sceneData;
+    } else {
+      const template = await Template.findOne({ _id: req.body.templateId, isActive: true });
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+      if (!template.canAccess(req.user.subscription.plan)) {
+        return res.status(403).json({
+          success: false,
+          message: `${template.requirements.subscription} subscription required`,
+          requiredPlan: template.requirements.subscription,
+          currentPlan: req.user.subscription.plan
+        });
+      }
+      name = template.name;
+      sceneData = sceneFromTemplate(template);
+    }
+
+    const furnitureById = await Furniture.findForScene(sceneData);
+    const plan = buildFloorPlan({
+      sceneData,
+      furnitureById,
+      units: req.user.preferences?.units || 'metric'
+    });
+
+    if (req.body.format === 'pdf') {
+      const pdf = await renderFloorPlanPdf(plan, { title: name });
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${toFileName(name, 'pdf')}"`,
+        'Content-Length': pdf.length
+      });
+      return res.send(pdf);
+    }
+
+    const svg = renderFloorPlanSvg(plan, { title: name });
+    res.set({
+      'Content-Type': 'image/svg+xml',
+      'Content-Disposition': `attachment; filename="${toFileName(name, 'svg')}"`
+    });
+    res.send(svg);
+  } catch (error) {
+    console.error('Floor plan export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting floor plan'
+    });
+  }
+});
+
+module.exports = router;
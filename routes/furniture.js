@@ -1,12 +1,45 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Furniture = require('../models/Furniture');
-const { optionalAuth } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const Review = require('../models/Review');
+const CatalogEvent = require('../models/CatalogEvent');
+const FurnitureTrend = require('../models/FurnitureTrend');
+const PriceHistory = require('../models/PriceHistory');
+const { optionalAuth, authenticateToken, requireAdmin } = require('../middleware/auth');
+const { currencyRules, loadConversion, describeConversion } = require('../middleware/currency');
+const { diffObjects } = require('../utils/diff');
+const { toValidationErrors } = require('../utils/modelErrors');
+const { createReviewRouter } = require('./reviews');
+const { parseCsv, toCsvHeader, toCsvRow } = require('../utils/csv');
+const { CSV_COLUMNS, rowToFurniture, furnitureToRow } = require('../utils/catalogColumns');
+const { buildCatalogPipeline, formatCatalogFacets } = require('../utils/catalogFacets');
+const { availableSpace, buildFitMatch, buildFitFields } = require('../utils/fitSearch');
+const { colorTargets, canHarmonize, buildColorMatch, bestColorMatch } = require('../utils/colorSearch');
+const { convertLength } = require('../utils/units');
+const { CURRENCIES, convertAmount, convertPricing, convertedAmountExpression } = require('../utils/currency');
+const { buildPriceSeries, summarizePriceSeries } = require('../utils/priceHistory');
 
 const router = express.Router();
 
+// Multi-value query params: repeated (`?brand=a&brand=b`) or comma-separated
+const toList = (value) => (value === undefined ? [] : (Array.isArray(value) ? value : String(value).split(',')))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const CATALOG_SORT_FIELDS = {
+  name: 'name',
+  price: 'priceInCurrency', // retail price in the requested currency
+  popularity: 'popularity',
+  rating: 'ratings.average',
+  createdAt: 'createdAt'
+};
+
 // @route   GET /api/furniture
-// @desc    Get furniture catalog
+// @desc    Get furniture catalog with facet counts. category, subcategory,
+//          brand, materials and colors take several values. Prices are
+//          filtered, sorted and returned in `currency` (USD by default).
 // @access  Public
 router.get('/', [
   optionalAuth,
@@ -20,11 +53,12 @@ router.get('/', [
     .withMessage('Limit must be between 1 and 100'),
   query('category')
     .optional()
+    .customSanitizer(toList)
     .isIn(['Seating', 'Tables', 'Storage', 'Lighting', 'Bedroom', 'Decorative', 'Kitchen', 'Bathroom', 'Outdoor'])
     .withMessage('Invalid category'),
   query('subcategory')
     .optional()
-    .trim()
+    .customSanitizer(toList)
     .isLength({ max: 50 })
     .withMessage('Subcategory too long'),
   query('minPrice')
@@ -37,9 +71,19 @@ router.get('/', [
     .withMessage('Max price must be a positive number'),
   query('brand')
     .optional()
-    .trim()
+    .customSanitizer(toList)
     .isLength({ max: 50 })
     .withMessage('Brand name too long'),
+  query(['materials', 'tags'])
+    .optional()
+    .customSanitizer(toList)
+    .isLength({ max: 50 })
+    .withMessage('Value too long'),
+  query('colors')
+    .optional()
+    .customSanitizer(toList)
+    .matches(/^#[0-9A-F]{6}$/i)
+    .withMessage('Colors must be hex codes such as #8B4513'),
   query('style')
     .optional()
     .isIn(['modern', 'traditional', 'contemporary', 'minimalist', 'industrial', 'scandinavian', 'bohemian', 'rustic', 'mid-century', 'art-deco'])
@@ -59,7 +103,9 @@ router.get('/', [
   query('sortOrder')
     .optional()
     .isIn(['asc', 'desc'])
-    .withMessage('Sort order must be asc or desc')
+    .withMessage('Sort order must be asc or desc'),
+  ...currencyRules,
+  loadConversion
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -74,122 +120,232 @@ router.get('/', [
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
+    const { currency, rates } = req.conversion;
     const {
       search,
-      category,
-      subcategory,
       minPrice,
       maxPrice,
-      brand,
       style,
       inStock,
       featured,
-      tags,
-      materials,
-      colors,
       sortBy = 'popularity',
       sortOrder = 'desc'
     } = req.query;
 
-    // Build query
-    const query = { isActive: true };
+    // Conditions that aren't facets apply to everything
+    const base = { isActive: true };
 
     if (search) {
-      query.$text = { $search: search };
+      base.$text = { $search: search };
     }
 
-    if (category) {
-      query.category = category;
+    if (style) {
+      base.style = style;
     }
 
-    if (subcategory) {
-      query.subcategory = { $regex: subcategory, $options: 'i' };
+    if (featured !== undefined) {
+      base.isFeatured = featured === 'true';
     }
 
-    if (minPrice !== undefined || maxPrice !== undefined) {
-      query['pricing.retail'] = {};
-      if (minPrice !== undefined) query['pricing.retail'].$gte = parseFloat(minPrice);
-      if (maxPrice !== undefined) query['pricing.retail'].$lte = parseFloat(maxPrice);
+    const tags = toList(req.query.tags);
+    if (tags.length > 0) {
+      base.tags = { $in: tags };
     }
 
-    if (brand) {
-      query.brand = { $regex: brand, $options: 'i' };
-    }
+    // Facet selections; each one narrows every facet but its own
+    const selected = {
+      category: toList(req.query.category),
+      subcategory: toList(req.query.subcategory),
+      brand: toList(req.query.brand),
+      materials: toList(req.query.materials),
+      colors: toList(req.query.colors),
+      minPrice: minPrice !== undefined ? parseFloat(minPrice) : undefined,
+      maxPrice: maxPrice !== undefined ? parseFloat(maxPrice) : undefined,
+      inStock: inStock !== undefined ? inStock === 'true' : undefined
+    };
 
-    if (style) {
-      query.style = style;
+    // Build sort object
+    const sort = {};
+    if (search) {
+      sort.score = -1; // text score, added by the pipeline
     }
+    sort[CATALOG_SORT_FIELDS[sortBy]] = sortOrder === 'desc' ? -1 : 1;
+    sort._id = 1; // stable pages when sort values tie
 
-    if (inStock !== undefined) {
-      query['availability.inStock'] = inStock === 'true';
-    }
+    const [output] = await Furniture.aggregate(buildCatalogPipeline({
+      base,
+      selected,
+      search: Boolean(search),
+      price: convertedAmountExpression('pricing.retail', currency, rates),
+      sort,
+      skip,
+      limit
+    }));
 
-    if (featured !== undefined) {
-      query.isFeatured = featured === 'true';
-    }
+    const furniture = output.results.map(({ priceInCurrency, ...item }) => ({
+      ...item,
+      converted: convertPricing(item, currency, rates)
+    }));
+    const total = output.total.length > 0 ? output.total[0].count : 0;
+    const facets = formatCatalogFacets(output);
 
-    if (tags && Array.isArray(tags)) {
-      query.tags = { $in: tags };
-    }
+    // Older clients read plain value lists from `filters`
+    const filters = {
+      categories: facets.category.map(facet => facet.value),
+      subcategories: facets.subcategory.map(facet => facet.value),
+      brands: facets.brand.map(facet => facet.value),
+      materials: facets.material.map(facet => facet.value),
+      minPrice: facets.price.min || 0,
+      maxPrice: facets.price.max || 0
+    };
 
-    if (materials && Array.isArray(materials)) {
-      query.materials = { $in: materials };
-    }
+    res.json({
+      success: true,
+      data: {
+        furniture,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        },
+        facets,
+        filters,
+        exchangeRate: describeConversion(req.conversion)
+      }
+    });
+  } catch (error) {
+    console.error('Get furniture error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching furniture'
+    });
+  }
+});
 
-    if (colors && Array.isArray(colors)) {
-      query['colors.hex'] = { $in: colors };
+// @route   GET /api/furniture/fit
+// @desc    Find furniture that fits a space of at most width x depth x height
+//          (any unit), optionally turned 90° and with a clearance margin,
+//          best use of the space first
+// @access  Public
+router.get('/fit', [
+  optionalAuth,
+  query(['width', 'depth', 'height'])
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Space dimensions must be positive numbers'),
+  query('unit')
+    .optional()
+    .isIn(['cm', 'm', 'in', 'ft'])
+    .withMessage('Unit must be cm, m, in or ft'),
+  query('clearance')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Clearance must be a non-negative number'),
+  query('rotate')
+    .optional()
+    .isBoolean()
+    .withMessage('Rotate must be a boolean'),
+  query('category')
+    .optional()
+    .isIn(['Seating', 'Tables', 'Storage', 'Lighting', 'Bedroom', 'Decorative', 'Kitchen', 'Bathroom', 'Outdoor'])
+    .withMessage('Invalid category'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  ...currencyRules,
+  loadConversion
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    // Build sort object
-    const sort = {};
-    if (search && query.$text) {
-      sort.score = { $meta: 'textScore' };
-    }
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const unit = req.query.unit || 'cm';
+    const toCm = (value) => (value !== undefined ? convertLength(parseFloat(value), unit, 'cm') : undefined);
+    const fromCm = (value) => Math.round(convertLength(value, 'cm', unit) * 100) / 100;
 
-    // Get furniture
-    const furniture = await Furniture.find(query, search ? { score: { $meta: 'textScore' } } : {})
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
+    const requested = { width: toCm(req.query.width), depth: toCm(req.query.depth), height: toCm(req.query.height) };
+    if (Object.values(requested).every(value => value === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give at least one of width, depth or height'
+      });
+    }
+    const space = availableSpace(requested, toCm(req.query.clearance) || 0);
+    if (Object.values(space).some(value => value !== undefined && value <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The clearance leaves no room in the space'
+      });
+    }
 
-    // Get total count
-    const total = await Furniture.countDocuments(query);
+    const rotate = req.query.rotate === 'true';
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const match = { isActive: true, ...buildFitMatch(space, rotate) };
+    if (req.query.category) match.category = req.query.category;
 
-    // Get aggregation data for filters
-    const aggregationData = await Furniture.aggregate([
-      { $match: { isActive: true } },
+    const [output] = await Furniture.aggregate([
+      { $match: match },
       {
-        $group: {
-          _id: null,
-          categories: { $addToSet: '$category' },
-          subcategories: { $addToSet: '$subcategory' },
-          brands: { $addToSet: '$brand' },
-          styles: { $addToSet: '$style' },
-          materials: { $addToSet: '$materials' },
-          minPrice: { $min: '$pricing.retail' },
-          maxPrice: { $max: '$pricing.retail' }
+        $facet: {
+          results: [
+            { $addFields: buildFitFields(space, rotate) },
+            { $sort: { fitUsage: -1, popularity: -1, _id: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit }
+          ],
+          total: [{ $count: 'count' }]
         }
       }
     ]);
+    const total = output.total.length > 0 ? output.total[0].count : 0;
 
-    const filters = aggregationData[0] || {
-      categories: [],
-      subcategories: [],
-      brands: [],
-      styles: [],
-      materials: [],
-      minPrice: 0,
-      maxPrice: 0
-    };
-
-    // Flatten materials array
-    filters.materials = [...new Set(filters.materials.flat())];
+    const { currency, rates } = req.conversion;
+    const furniture = output.results.map(({ fitUsage, fitRotated, ...item }) => {
+      const footprint = fitRotated
+        ? { width: item.dimensionsCm.depth, depth: item.dimensionsCm.width }
+        : { width: item.dimensionsCm.width, depth: item.dimensionsCm.depth };
+      const spare = (axis, size) => (space[axis] !== undefined ? fromCm(space[axis] - size) : null);
+      return {
+        ...item,
+        converted: convertPricing(item, currency, rates),
+        fit: {
+          usage: Math.round(fitUsage * 1000) / 1000,
+          rotated: fitRotated,
+          spare: {
+            width: spare('width', footprint.width),
+            depth: spare('depth', footprint.depth),
+            height: spare('height', item.dimensionsCm.height)
+          }
+        }
+      };
+    });
 
     res.json({
       success: true,
       data: {
         furniture,
+        space: {
+          unit,
+          width: space.width !== undefined ? fromCm(space.width) : null,
+          depth: space.depth !== undefined ? fromCm(space.depth) : null,
+          height: space.height !== undefined ? fromCm(space.height) : null
+        },
+        exchangeRate: describeConversion(req.conversion),
         pagination: {
           currentPage: page,
           totalPages: Math.ceil(total / limit),
@@ -197,53 +353,123 @@ router.get('/', [
           itemsPerPage: limit,
           hasNextPage: page < Math.ceil(total / limit),
           hasPrevPage: page > 1
-        },
-        filters
+        }
       }
     });
   } catch (error) {
-    console.error('Get furniture error:', error);
+    console.error('Fit search error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching furniture'
+      message: 'Server error while searching furniture by size'
     });
   }
 });
 
-// @route   GET /api/furniture/:id
-// @desc    Get single furniture item
+// @route   GET /api/furniture/color-search
+// @desc    Find furniture with a color variant close to a hex color
+//          (CIEDE2000 within `tolerance`), or with `mode=harmonize` close
+//          to its complementary or analogous hues, closest first
 // @access  Public
-router.get('/:id', [
-  optionalAuth
+router.get('/color-search', [
+  optionalAuth,
+  query('hex')
+    .matches(/^#?[0-9A-F]{6}$/i)
+    .withMessage('Hex must be a color code like #1E3A8A'),
+  query('tolerance')
+    .optional()
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Tolerance must be between 0 and 100'),
+  query('mode')
+    .optional()
+    .isIn(['match', 'harmonize'])
+    .withMessage('Mode must be match or harmonize'),
+  query('category')
+    .optional()
+    .isIn(['Seating', 'Tables', 'Storage', 'Lighting', 'Bedroom', 'Decorative', 'Kitchen', 'Bathroom', 'Outdoor'])
+    .withMessage('Invalid category'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  ...currencyRules,
+  loadConversion
 ], async (req, res) => {
   try {
-    const furniture = await Furniture.findById(req.params.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    if (!furniture || !furniture.isActive) {
-      return res.status(404).json({
+    const hex = `#${req.query.hex.replace('#', '').toUpperCase()}`;
+    const mode = req.query.mode || 'match';
+    const tolerance = req.query.tolerance !== undefined ? parseFloat(req.query.tolerance) : 10;
+    if (mode === 'harmonize' && !canHarmonize(hex)) {
+      return res.status(400).json({
         success: false,
-        message: 'Furniture not found'
+        message: 'This color is too close to gray to harmonize with; search for matches instead'
       });
     }
 
-    // Increment popularity
-    await furniture.incrementPopularity();
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const targets = colorTargets(hex, mode);
+    const match = { isActive: true, ...buildColorMatch(targets, tolerance) };
+    if (req.query.category) match.category = req.query.category;
 
-    // Get similar furniture
-    const similar = await furniture.getSimilar(5);
+    // Rank on colors only, then load the requested page
+    const candidates = await Furniture.find(match).select('colors popularity').lean();
+    const ranked = candidates
+      .map(item => ({ id: item._id.toString(), popularity: item.popularity || 0, colorMatch: bestColorMatch(item, targets, tolerance) }))
+      .filter(result => result.colorMatch)
+      .sort((a, b) => a.colorMatch.distance - b.colorMatch.distance || b.popularity - a.popularity);
+    const total = ranked.length;
+    const pageResults = ranked.slice((page - 1) * limit, page * limit);
+
+    const items = await Furniture.find({ _id: { $in: pageResults.map(result => result.id) } });
+    const byId = new Map(items.map(item => [item._id.toString(), item]));
+    const { currency, rates } = req.conversion;
+    const furniture = pageResults
+      .filter(result => byId.has(result.id))
+      .map(result => ({
+        ...byId.get(result.id).toJSON(),
+        converted: convertPricing(byId.get(result.id), currency, rates),
+        colorMatch: result.colorMatch
+      }));
 
     res.json({
       success: true,
       data: {
         furniture,
-        similar
+        color: {
+          hex,
+          mode,
+          tolerance,
+          targets: targets.map(target => ({ harmony: target.harmony, hex: target.hex }))
+        },
+        exchangeRate: describeConversion(req.conversion),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
       }
     });
   } catch (error) {
-    console.error('Get furniture item error:', error);
+    console.error('Color search error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching furniture item'
+      message: 'Server error while searching furniture by color'
     });
   }
 });
@@ -294,18 +520,34 @@ router.get('/categories', async (req, res) => {
 // @desc    Get featured furniture
 // @access  Public
 router.get('/featured', [
+  optionalAuth,
   query('limit')
     .optional()
     .isInt({ min: 1, max: 50 })
-    .withMessage('Limit must be between 1 and 50')
+    .withMessage('Limit must be between 1 and 50'),
+  ...currencyRules,
+  loadConversion
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const limit = parseInt(req.query.limit) || 10;
-    const furniture = await Furniture.getFeatured(limit);
+    const items = await Furniture.getFeatured(limit);
+    const { currency, rates } = req.conversion;
 
     res.json({
       success: true,
-      data: { furniture }
+      data: {
+        furniture: items.map(item => ({ ...item.toJSON(), converted: convertPricing(item, currency, rates) })),
+        exchangeRate: describeConversion(req.conversion)
+      }
     });
   } catch (error) {
     console.error('Get featured furniture error:', error);
@@ -320,6 +562,7 @@ router.get('/featured', [
 // @desc    Get furniture by category
 // @access  Public
 router.get('/category/:category', [
+  optionalAuth,
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -327,7 +570,9 @@ router.get('/category/:category', [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100')
+    .withMessage('Limit must be between 1 and 100'),
+  ...currencyRules,
+  loadConversion
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -344,7 +589,8 @@ router.get('/category/:category', [
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const furniture = await Furniture.getByCategory(category, limit, skip);
+    const items = await Furniture.getByCategory(category, limit, skip);
+    const { currency, rates } = req.conversion;
 
     // Get total count for this category
     const total = await Furniture.countDocuments({
@@ -355,7 +601,8 @@ router.get('/category/:category', [
     res.json({
       success: true,
       data: {
-        furniture,
+        furniture: items.map(item => ({ ...item.toJSON(), converted: convertPricing(item, currency, rates) })),
+        exchangeRate: describeConversion(req.conversion),
         pagination: {
           currentPage: page,
           totalPages: Math.ceil(total / limit),
@@ -379,6 +626,7 @@ router.get('/category/:category', [
 // @desc    Search furniture
 // @access  Public
 router.get('/search', [
+  optionalAuth,
   query('q')
     .notEmpty()
     .withMessage('Search query is required'),
@@ -389,7 +637,9 @@ router.get('/search', [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100')
+    .withMessage('Limit must be between 1 and 100'),
+  ...currencyRules,
+  loadConversion
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -404,9 +654,10 @@ router.get('/search', [
     const { q: query, page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const furniture = await Furniture.search(query, { isActive: true })
+    const items = await Furniture.search(query, { isActive: true })
       .skip(skip)
       .limit(parseInt(limit));
+    const { currency, rates } = req.conversion;
 
     // Get total count
     const total = await Furniture.countDocuments({
@@ -417,8 +668,9 @@ router.get('/search', [
     res.json({
       success: true,
       data: {
-        furniture,
+        furniture: items.map(item => ({ ...item.toJSON(), converted: convertPricing(item, currency, rates) })),
         query,
+        exchangeRate: describeConversion(req.conversion),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / parseInt(limit)),
@@ -438,14 +690,22 @@ router.get('/search', [
   }
 });
 
-// @route   POST /api/furniture/:id/rate
-// @desc    Rate furniture item
-// @access  Private
-router.post('/:id/rate', [
-  require('../middleware/auth').authenticateToken,
-  require('express-validator').body('rating')
-    .isFloat({ min: 1, max: 5 })
-    .withMessage('Rating must be between 1 and 5')
+// @route   GET /api/furniture/trending
+// @desc    Get trending furniture, ranked by time-decayed views and
+//          placements in the period (rollups rebuilt by jobs/trending.js)
+// @access  Public
+router.get('/trending', [
+  optionalAuth,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('period')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('Period must be day, week, or month'),
+  ...currencyRules,
+  loadConversion
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -457,8 +717,62 @@ router.post('/:id/rate', [
       });
     }
 
-    const { rating } = req.body;
-    const furniture = await Furniture.findById(req.params.id);
+    const limit = parseInt(req.query.limit) || 10;
+    const period = req.query.period || 'week';
+
+    // Over-fetch a little since deactivated items are skipped
+    const trends = await FurnitureTrend.find({ period })
+      .sort({ rank: 1 })
+      .limit(limit * 2)
+      .populate({ path: 'furniture', match: { isActive: true } });
+
+    const { currency, rates } = req.conversion;
+    const furniture = trends
+      .filter(trend => trend.furniture)
+      .slice(0, limit)
+      .map(trend => ({
+        ...trend.furniture.toJSON(),
+        converted: convertPricing(trend.furniture, currency, rates),
+        trending: { rank: trend.rank, score: trend.score, counts: trend.counts }
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        furniture,
+        period,
+        computedAt: trends.length > 0 ? trends[0].computedAt : null,
+        exchangeRate: describeConversion(req.conversion)
+      }
+    });
+  } catch (error) {
+    console.error('Get trending furniture error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching trending furniture'
+    });
+  }
+});
+
+// @route   GET /api/furniture/:id
+// @desc    Get single furniture item, with prices also in `currency`
+// @access  Public
+router.get('/:id', [
+  optionalAuth,
+  ...currencyRules,
+  loadConversion
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const furniture = mongoose.isValidObjectId(req.params.id) ? await Furniture.findById(req.params.id) : null;
 
     if (!furniture || !furniture.isActive) {
       return res.status(404).json({
@@ -467,77 +781,818 @@ router.post('/:id/rate', [
       });
     }
 
-    await furniture.updateRating(parseFloat(rating));
+    // Increment popularity
+    await furniture.incrementPopularity();
+    // Not awaited: tracking never holds up or fails the page
+    CatalogEvent.record('view', [furniture._id], { user: req.user && req.user._id });
+
+    // Similar and complementary items, each with why it was picked
+    const { currency, rates } = req.conversion;
+    const recommendations = await furniture.getRecommendations(5, { rates });
+    const withReasons = (results) => results.map(({ item, score, reasons }) => ({
+      ...item.toJSON(),
+      converted: convertPricing(item, currency, rates),
+      recommendation: { score, reasons }
+    }));
 
     res.json({
       success: true,
-      message: 'Rating submitted successfully',
       data: {
-        averageRating: furniture.ratings.average,
-        ratingCount: furniture.ratings.count
+        furniture: { ...furniture.toJSON(), converted: convertPricing(furniture, currency, rates) },
+        similar: withReasons(recommendations.similar),
+        complementary: withReasons(recommendations.complementary),
+        exchangeRate: describeConversion(req.conversion)
       }
     });
   } catch (error) {
-    console.error('Rate furniture error:', error);
+    console.error('Get furniture item error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while rating furniture'
+      message: 'Server error while fetching furniture item'
     });
   }
 });
 
-// @route   GET /api/furniture/trending
-// @desc    Get trending furniture
+// @route   GET /api/furniture/:id/price-history
+// @desc    Price paid for an item over time as a chart series, with its
+//          lowest price in the 30 days before a running sale
 // @access  Public
-router.get('/trending', [
-  query('limit')
-    .optional()
-    .isInt({ min: 1, max: 50 })
-    .withMessage('Limit must be between 1 and 50'),
-  query('period')
+router.get('/:id/price-history', [
+  query('days')
     .optional()
-    .isIn(['day', 'week', 'month'])
-    .withMessage('Period must be day, week, or month')
+    .isInt({ min: 1, max: 730 })
+    .withMessage('Days must be between 1 and 730'),
+  ...currencyRules,
+  loadConversion
 ], async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const period = req.query.period || 'week';
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const furniture = mongoose.isValidObjectId(req.params.id) ? await Furniture.findById(req.params.id) : null;
+    if (!furniture || !furniture.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Furniture not found'
+      });
+    }
 
-    // Calculate date based on period
     const now = new Date();
-    let startDate;
-    switch (period) {
-      case 'day':
-        startDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-        break;
-      case 'week':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case 'month':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-    }
-
-    const furniture = await Furniture.find({
-      isActive: true,
-      updatedAt: { $gte: startDate }
-    })
-    .sort({ popularity: -1, 'ratings.average': -1 })
-    .limit(limit);
+    const from = new Date(now.getTime() - (parseInt(req.query.days) || 365) * 24 * 60 * 60 * 1000);
+    let history = await PriceHistory.find({ furniture: furniture._id }).sort({ recordedAt: 1 }).lean();
+    if (history.length === 0) {
+      // Items priced before the history existed: their pricing since creation
+      history = [{ recordedAt: furniture.createdAt, currency: furniture.currency, ...furniture.pricing.toObject() }];
+    }
+
+    const { currency, rates } = req.conversion;
+    const entries = history.map(entry => ({
+      ...entry,
+      retail: convertAmount(entry.retail, entry.currency, currency, rates),
+      sale: convertAmount(entry.sale, entry.currency, currency, rates)
+    }));
+    const series = buildPriceSeries(entries, { from, to: now });
 
     res.json({
       success: true,
-      data: { furniture }
+      data: {
+        furniture: { _id: furniture._id, name: furniture.name },
+        currency,
+        series,
+        summary: summarizePriceSeries(entries, series, now),
+        exchangeRate: describeConversion(req.conversion)
+      }
     });
   } catch (error) {
-    console.error('Get trending furniture error:', error);
+    console.error('Get price history error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching trending furniture'
+      message: 'Server error while fetching price history'
     });
   }
 });
 
+// @route   POST /api/furniture/:id/rate
+// @desc    Rate furniture item (sets the user's review rating)
+// @access  Private
+router.post('/:id/rate', [
+  authenticateToken,
+  body('rating')
+    .isFloat({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { rating } = req.body;
+    const furniture = mongoose.isValidObjectId(req.params.id) ? await Furniture.findById(req.params.id) : null;
+
+    if (!furniture || !furniture.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Furniture not found'
+      });
+    }
+
+    const ratings = await Review.rate('Furniture', furniture._id, req.user._id, parseFloat(rating));
+
+    res.json({
+      success: true,
+      message: 'Rating submitted successfully',
+      data: {
+        averageRating: ratings.average,
+        ratingCount: ratings.count
+      }
+    });
+  } catch (error) {
+    console.error('Rate furniture error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rating furniture'
+    });
+  }
+});
+
+// @route   /api/furniture/:id/reviews
+// @desc    Reviews of an active furniture item (see routes/reviews.js)
+router.use('/:id/reviews', createReviewRouter({
+  targetType: 'Furniture',
+  label: 'Furniture',
+  loadTarget: async (req, res) => {
+    const furniture = await Furniture.findOne({ _id: req.params.id, isActive: true });
+    if (!furniture) {
+      res.status(404).json({ success: false, message: 'Furniture not found' });
+    }
+    return furniture;
+  }
+}));
+
+// Fields admins may set through create/update; status flags have their own
+// endpoints and ratings/popularity are maintained by the app
+const EDITABLE_FIELDS = [
+  'name', 'description', 'category', 'subcategory', 'type', 'brand', 'model', 'price', 'currency',
+  'dimensions', 'weight', 'materials', 'colors', 'images', 'model3D', 'specifications', 'features',
+  'tags', 'availability', 'pricing', 'isPremium', 'seo'
+];
+const AUDIT_IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const pickEditable = (source) => EDITABLE_FIELDS.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+// colors[].lab is derived from the hex on save, so it is left out; otherwise
+// resubmitting the same colors would look like a change
+const toAuditObject = (furniture) => {
+  const object = furniture.toObject({ depopulate: true, flattenMaps: true, virtuals: false });
+  (object.colors || []).forEach(color => delete color.lab);
+  return object;
+};
+
+// Request-shape checks; the schema's own validators run on save. On update
+// every field is optional.
+const furnitureRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  const optionalNumber = (path, message) => body(path)
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage(message);
+
+  return [
+    required(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name is required and cannot exceed 100 characters'),
+    required(body('category'))
+      .isIn(['Seating', 'Tables', 'Storage', 'Lighting', 'Bedroom', 'Decorative', 'Kitchen', 'Bathroom', 'Outdoor'])
+      .withMessage('Invalid category'),
+    required(body('type'))
+      .trim()
+      .notEmpty()
+      .withMessage('Type is required'),
+    body('currency')
+      .optional()
+      .isIn(CURRENCIES)
+      .withMessage('Invalid currency'),
+    ...['width', 'height', 'depth'].map(dimension => required(body(`dimensions.${dimension}`))
+      .isFloat({ gt: 0 })
+      .withMessage(`Dimension ${dimension} must be a positive number`)),
+    body('dimensions.unit')
+      .optional()
+      .isIn(['cm', 'm', 'in', 'ft'])
+      .withMessage('Dimension unit must be cm, m, in or ft'),
+    required(body('pricing.retail'))
+      .isFloat({ min: 0 })
+      .withMessage('Retail price must be a non-negative number'),
+    optionalNumber('price', 'Price must be a non-negative number'),
+    optionalNumber('pricing.wholesale', 'Wholesale price must be a non-negative number'),
+    optionalNumber('pricing.sale', 'Sale price must be a non-negative number'),
+    body(['pricing.saleStart', 'pricing.saleEnd'])
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Sale dates must be ISO 8601 dates'),
+    body('colors')
+      .optional()
+      .isArray()
+      .withMessage('Colors must be an array'),
+    body('colors.*.hex')
+      .matches(/^#[0-9A-F]{6}$/i)
+      .withMessage('Invalid hex color code'),
+    body('images')
+      .optional()
+      .isArray()
+      .withMessage('Images must be an array'),
+    body('images.*.url')
+      .isURL({ require_tld: false })
+      .withMessage('Image URL must be a valid URL'),
+    body('model3D.url')
+      .optional({ values: 'null' })
+      .isURL({ require_tld: false })
+      .withMessage('Model URL must be a valid URL'),
+    optionalNumber('availability.quantity', 'Stock quantity must be a non-negative number'),
+    optionalNumber('availability.leadTime', 'Lead time must be a non-negative number'),
+    body(['materials', 'features', 'tags'])
+      .optional()
+      .isArray()
+      .withMessage('Must be an array')
+  ];
+};
+
+const sendFurnitureValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: toValidationErrors(error)
+});
+
+// Load any furniture item (active or not) for admin routes
+const findFurnitureForAdmin = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ success: false, message: 'Furniture not found' });
+    return null;
+  }
+  const furniture = await Furniture.findById(req.params.id);
+  if (!furniture) {
+    res.status(404).json({ success: false, message: 'Furniture not found' });
+  }
+  return furniture;
+};
+
+// @route   GET /api/furniture/admin/all
+// @desc    Get all furniture including inactive items
+// @access  Admin
+router.get('/admin/all', [
+  authenticateToken,
+  requireAdmin,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive', 'all'])
+    .withMessage('Status must be active, inactive or all')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const status = req.query.status || 'all';
+    const query = status === 'all' ? {} : { isActive: status === 'active' };
+
+    const [furniture, total] = await Promise.all([
+      Furniture.find(query).sort({ updatedAt: -1 }).skip(skip).limit(limit),
+      Furniture.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        furniture,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get all furniture error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching furniture'
+    });
+  }
+});
+
+// @route   POST /api/furniture
+// @desc    Create furniture item
+// @access  Admin
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  ...furnitureRules(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const furniture = new Furniture(pickEditable(req.body));
+    await furniture.save();
+    await AuditLog.record(req, 'create', furniture, diffObjects({}, toAuditObject(furniture), AUDIT_IGNORED_PATHS));
+
+    res.status(201).json({
+      success: true,
+      message: 'Furniture created successfully',
+      data: { furniture }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendFurnitureValidationError(res, error);
+    }
+    console.error('Create furniture error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating furniture'
+    });
+  }
+});
+
+// @route   PUT /api/furniture/:id
+// @desc    Update furniture item (nested objects are merged)
+// @access  Admin
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  ...furnitureRules(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const furniture = await findFurnitureForAdmin(req, res);
+    if (!furniture) return;
+
+    const before = toAuditObject(furniture);
+    furniture.set(pickEditable(req.body), undefined, { merge: true });
+    const changes = diffObjects(before, toAuditObject(furniture), AUDIT_IGNORED_PATHS);
+
+    if (changes.length > 0) {
+      await furniture.save();
+      await AuditLog.record(req, 'update', furniture, changes);
+    }
+
+    res.json({
+      success: true,
+      message: changes.length > 0 ? 'Furniture updated successfully' : 'No changes',
+      data: { furniture, changes }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendFurnitureValidationError(res, error);
+    }
+    console.error('Update furniture error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating furniture'
+    });
+  }
+});
+
+// Admin routes that flip a single status flag and audit the change
+const statusRoute = (action, field, value, message) => async (req, res) => {
+  try {
+    const furniture = await findFurnitureForAdmin(req, res);
+    if (!furniture) return;
+
+    if (furniture[field] !== value) {
+      const before = furniture[field];
+      furniture[field] = value;
+      await furniture.save();
+      await AuditLog.record(req, action, furniture, [{ path: field, from: before, to: value }]);
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: { furniture }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendFurnitureValidationError(res, error);
+    }
+    console.error(`Furniture ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while trying to ${action} furniture`
+    });
+  }
+};
+
+// @route   DELETE /api/furniture/:id
+// @desc    Deactivate furniture item (soft delete)
+// @access  Admin
+router.delete('/:id', authenticateToken, requireAdmin,
+  statusRoute('deactivate', 'isActive', false, 'Furniture deactivated successfully'));
+
+// @route   POST /api/furniture/:id/reactivate
+// @desc    Reactivate a deactivated furniture item
+// @access  Admin
+router.post('/:id/reactivate', authenticateToken, requireAdmin,
+  statusRoute('reactivate', 'isActive', true, 'Furniture reactivated successfully'));
+
+// @route   POST /api/furniture/:id/feature
+// @desc    Feature furniture item
+// @access  Admin
+router.post('/:id/feature', authenticateToken, requireAdmin,
+  statusRoute('feature', 'isFeatured', true, 'Furniture featured successfully'));
+
+// @route   POST /api/furniture/:id/unfeature
+// @desc    Stop featuring furniture item
+// @access  Admin
+router.post('/:id/unfeature', authenticateToken, requireAdmin,
+  statusRoute('unfeature', 'isFeatured', false, 'Furniture unfeatured successfully'));
+
+// @route   GET /api/furniture/:id/stats
+// @desc    Daily views, design placements and template uses of an item,
+//          with its current trending ranks
+// @access  Admin
+router.get('/:id/stats', [
+  authenticateToken,
+  requireAdmin,
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Days must be between 1 and 90')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const furniture = await findFurnitureForAdmin(req, res);
+    if (!furniture) return;
+
+    const [stats, trends] = await Promise.all([
+      CatalogEvent.dailyStats(furniture._id, parseInt(req.query.days) || 30),
+      FurnitureTrend.find({ furniture: furniture._id }).select('period rank score counts computedAt')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...stats,
+        trending: Object.fromEntries(trends.map(trend => [trend.period, {
+          rank: trend.rank,
+          score: trend.score,
+          counts: trend.counts,
+          computedAt: trend.computedAt
+        }]))
+      }
+    });
+  } catch (error) {
+    console.error('Get furniture stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching furniture stats'
+    });
+  }
+});
+
+// @route   GET /api/furniture/:id/audit-log
+// @desc    Get the change history of a furniture item
+// @access  Admin
+router.get('/:id/audit-log', [
+  authenticateToken,
+  requireAdmin,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const furniture = await findFurnitureForAdmin(req, res);
+    if (!furniture) return;
+
+    const entries = await AuditLog.find({ entityType: 'Furniture', entityId: furniture._id })
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50);
+
+    res.json({
+      success: true,
+      data: { entries }
+    });
+  } catch (error) {
+    console.error('Get furniture audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+});
+
+const IMPORT_ROW_LIMIT = 5000;
+
+// Rows of an import body: CSV text (row numbers count the header as row 1)
+// or a JSON array / `{ items }` (row numbers are 1-based positions)
+const readImportRows = (body) => {
+  if (typeof body === 'string') {
+    return { rows: parseCsv(body, { formulaSafe: true }), firstRow: 2 };
+  }
+  const items = Array.isArray(body) ? body : body && body.items;
+  if (!Array.isArray(items)) {
+    throw new Error('Send CSV text or a JSON array of items');
+  }
+  return { rows: items, firstRow: 1 };
+};
+
+const catalogKey = ({ brand, model }) => `${brand}\u0000${model}`;
+
+const fieldError = (path, msg, value) => ({ type: 'field', location: 'body', path, msg, value });
+
+// @route   POST /api/furniture/admin/import
+// @desc    Bulk create/update furniture from CSV or JSON, upserting by brand + model.
+//          With ?dryRun=true every row is validated but nothing is saved.
+// @access  Admin
+router.post('/admin/import', [
+  authenticateToken,
+  requireAdmin,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }),
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let rows;
+    let firstRow;
+    try {
+      ({ rows, firstRow } = readImportRows(req.body));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read import: ${error.message}`
+      });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import contains no rows'
+      });
+    }
+    if (rows.length > IMPORT_ROW_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Import cannot exceed ${IMPORT_ROW_LIMIT} rows`
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+
+    // Parse every row first so existing items can be loaded in one query
+    const seen = new Map();
+    const parsed = rows.map((row, index) => {
+      const rowNumber = index + firstRow;
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        return { row: rowNumber, errors: [fieldError('', 'Row must be an object')] };
+      }
+      const { data, errors: rowErrors } = rowToFurniture(row);
+      if (!data.brand) rowErrors.push(fieldError('brand', 'Brand is required to match catalog items', row.brand));
+      if (!data.model) rowErrors.push(fieldError('model', 'Model is required to match catalog items', row.model));
+      if (data.brand && data.model) {
+        const key = catalogKey(data);
+        if (seen.has(key)) {
+          rowErrors.push(fieldError('model', `Duplicate brand + model (first seen on row ${seen.get(key)})`, data.model));
+        } else {
+          seen.set(key, rowNumber);
+        }
+      }
+      return { row: rowNumber, data, errors: rowErrors };
+    });
+
+    const keyed = parsed.filter(entry => entry.errors.length === 0);
+    const existing = keyed.length > 0
+      ? await Furniture.find({
+        brand: { $in: [...new Set(keyed.map(entry => entry.data.brand))] },
+        model: { $in: [...new Set(keyed.map(entry => entry.data.model))] }
+      })
+      : [];
+    const existingByKey = new Map(existing.map(furniture => [catalogKey(furniture), furniture]));
+
+    const results = [];
+    for (const entry of parsed) {
+      const result = {
+        row: entry.row,
+        brand: entry.data ? entry.data.brand || null : null,
+        model: entry.data ? entry.data.model || null : null,
+        status: 'failed',
+        id: null,
+        errors: entry.errors,
+        changes: []
+      };
+      results.push(result);
+      if (entry.errors.length > 0) continue;
+
+      // isActive is not editable through PUT but a catalog file may retire items
+      const fields = pickEditable(entry.data);
+      if (entry.data.isActive !== undefined) fields.isActive = entry.data.isActive;
+
+      let furniture = existingByKey.get(catalogKey(entry.data));
+      const isNew = !furniture;
+      const before = isNew ? {} : toAuditObject(furniture);
+      if (isNew) {
+        furniture = new Furniture(fields);
+      } else {
+        furniture.set(fields, undefined, { merge: true });
+      }
+      result.id = isNew ? null : furniture._id;
+      result.changes = diffObjects(before, toAuditObject(furniture), AUDIT_IGNORED_PATHS);
+
+      if (!isNew && result.changes.length === 0) {
+        result.status = 'unchanged';
+        continue;
+      }
+
+      try {
+        await furniture.validate();
+        if (!dryRun) {
+          furniture.$locals.priceSource = 'import';
+          await furniture.save();
+          await AuditLog.record(req, isNew ? 'create' : 'update', furniture, result.changes, 'import');
+        }
+        result.status = isNew ? 'created' : 'updated';
+        if (!dryRun) result.id = furniture._id;
+      } catch (error) {
+        if (error.name === 'ValidationError') {
+          result.errors = toValidationErrors(error);
+        } else if (error.code === 11000) {
+          result.errors = [fieldError('model', 'Another item with this brand + model was saved meanwhile', entry.data.model)];
+        } else {
+          throw error;
+        }
+        result.changes = [];
+      }
+    }
+
+    const summary = { total: results.length, created: 0, updated: 0, unchanged: 0, failed: 0 };
+    results.forEach(result => { summary[result.status] += 1; });
+
+    res.json({
+      success: summary.failed === 0,
+      message: dryRun
+        ? `Dry run: ${summary.failed} of ${summary.total} rows would fail`
+        : `Imported ${summary.created + summary.updated} of ${summary.total} rows`,
+      data: { dryRun, summary, results }
+    });
+  } catch (error) {
+    console.error('Import furniture error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing furniture'
+    });
+  }
+});
+
+// Write to a streamed response, waiting for the client when it falls behind
+const writeChunk = (res, chunk) => {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+// @route   GET /api/furniture/admin/export
+// @desc    Stream the whole catalog as CSV or JSON, using the import columns
+// @access  Admin
+router.get('/admin/export', [
+  authenticateToken,
+  requireAdmin,
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json'),
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive', 'all'])
+    .withMessage('Status must be active, inactive or all')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const format = req.query.format || 'csv';
+  const status = req.query.status || 'all';
+  const filter = status === 'all' ? {} : { isActive: status === 'active' };
+  const cursor = Furniture.find(filter).sort({ _id: 1 }).lean().cursor();
+  const filename = `furniture-catalog-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  try {
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    let count = 0;
+    await writeChunk(res, format === 'csv' ? toCsvHeader(CSV_COLUMNS) : '[');
+    for await (const furniture of cursor) {
+      if (res.destroyed) break;
+      const row = furnitureToRow(furniture);
+      await writeChunk(res, format === 'csv'
+        ? toCsvRow(CSV_COLUMNS, row, { formulaSafe: true })
+        : `${count > 0 ? ',' : ''}\n${JSON.stringify(row)}`);
+      count += 1;
+    }
+    if (format === 'json') await writeChunk(res, '\n]\n');
+    res.end();
+  } catch (error) {
+    console.error('Export furniture error:', error);
+    if (res.headersSent) {
+      // Cut the download short rather than send a truncated file as complete
+      res.destroy(error);
+    } else {
+      res.status(500).json({
+        success: false,
+        message: 'Server error while exporting furniture'
+      });
+    }
+  } finally {
+    await cursor.close();
+  }
+});
+
 module.exports = router;
 
 
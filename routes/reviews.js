@@ -0,0 +1,352 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const { authenticateToken } = require('../middleware/auth');
+const { toValidationErrors } = require('../utils/modelErrors');
+
+const SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  'rating-high': { rating: -1, createdAt: -1 },
+  'rating-low': { rating: 1, createdAt: -1 }
+};
+const AUTHOR_FIELDS = 'firstName lastName avatar';
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const reviewRules = (isUpdate) => [
+  (isUpdate ? body('rating').optional() : body('rating'))
+    .isFloat({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  body('title')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot exceed 100 characters'),
+  body('text')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review cannot exceed 2000 characters')
+];
+
+// Reviews of one kind of target, mounted at `/:id/reviews` of its router.
+//
+//   targetType  model name stored on the review ('Furniture' or 'Template')
+//   label       used in messages ('Furniture', 'Template')
+//   loadTarget  async (req, res, { forWrite }) => target document, or null
+//               once it has replied (404, plan checks, ...)
+const createReviewRouter = ({ targetType, label, loadTarget }) => {
+  const router = express.Router({ mergeParams: true });
+
+  const target = async (req, res, forWrite = false) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      res.status(404).json({ success: false, message: `${label} not found` });
+      return null;
+    }
+    return loadTarget(req, res, { forWrite });
+  };
+
+  // Review of the current target by id, or null once it has replied 404
+  const findReview = async (req, res) => {
+    const review = mongoose.isValidObjectId(req.params.reviewId)
+      ? await Review.findOne({ _id: req.params.reviewId, targetType, target: req.params.id })
+      : null;
+    if (!review) {
+      res.status(404).json({ success: false, message: 'Review not found' });
+    }
+    return review;
+  };
+
+  const sendReviewError = (res, error, action) => {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: toValidationErrors(error)
+      });
+    }
+    console.error(`${action} ${label.toLowerCase()} review error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while trying to ${action.toLowerCase()} review`
+    });
+  };
+
+  // @route   GET /:id/reviews
+  // @desc    Get reviews with a rating summary
+  // @access  Public
+  router.get('/', [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+    query('sort')
+      .optional()
+      .isIn(Object.keys(SORTS))
+      .withMessage(`Sort must be one of: ${Object.keys(SORTS).join(', ')}`),
+    query('rating')
+      .optional()
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating filter must be between 1 and 5')
+  ], async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+      const item = await target(req, res);
+      if (!item) return;
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const filter = { targetType, target: item._id };
+      if (req.query.rating) {
+        const stars = parseInt(req.query.rating);
+        filter.rating = { $gte: stars - 0.5, $lt: stars + 0.5 };
+      }
+
+      const [reviews, total, summary] = await Promise.all([
+        Review.find(filter)
+          .populate('user', AUTHOR_FIELDS)
+          .sort(SORTS[req.query.sort || 'newest'])
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Review.countDocuments(filter),
+        Review.summarize(targetType, item._id)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          reviews,
+          summary,
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: limit,
+            hasNextPage: page < Math.ceil(total / limit),
+            hasPrevPage: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`Get ${label.toLowerCase()} reviews error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching reviews'
+      });
+    }
+  });
+
+  // @route   GET /:id/reviews/mine
+  // @desc    Get the current user's review, if any
+  // @access  Private
+  router.get('/mine', authenticateToken, async (req, res) => {
+    try {
+      const item = await target(req, res);
+      if (!item) return;
+
+      const review = await Review.findOne({ targetType, target: item._id, user: req.user._id });
+
+      res.json({
+        success: true,
+        data: { review }
+      });
+    } catch (error) {
+      console.error(`Get own ${label.toLowerCase()} review error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching review'
+      });
+    }
+  });
+
+  // @route   POST /:id/reviews
+  // @desc    Review an item (one review per user; edit it with PUT)
+  // @access  Private
+  router.post('/', [
+    authenticateToken,
+    ...reviewRules(false)
+  ], async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+      const item = await target(req, res, true);
+      if (!item) return;
+
+      const existing = await Review.exists({ targetType, target: item._id, user: req.user._id });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `You have already reviewed this ${label.toLowerCase()}`,
+          reviewId: existing._id
+        });
+      }
+
+      const review = await Review.create({
+        targetType,
+        target: item._id,
+        user: req.user._id,
+        rating: parseFloat(req.body.rating),
+        title: req.body.title || null,
+        text: req.body.text || null
+      });
+      const ratings = await Review.recomputeRatings(targetType, item._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Review submitted successfully',
+        data: { review, ratings }
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: `You have already reviewed this ${label.toLowerCase()}`
+        });
+      }
+      sendReviewError(res, error, 'Create');
+    }
+  });
+
+  // @route   PUT /:id/reviews/:reviewId
+  // @desc    Edit your review
+  // @access  Private (author)
+  router.put('/:reviewId', [
+    authenticateToken,
+    ...reviewRules(true)
+  ], async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+      const item = await target(req, res, true);
+      if (!item) return;
+      const review = await findReview(req, res);
+      if (!review) return;
+
+      if (!review.user.equals(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only edit your own review'
+        });
+      }
+
+      if (req.body.rating !== undefined) review.rating = parseFloat(req.body.rating);
+      ['title', 'text'].forEach(field => {
+        if (req.body[field] !== undefined) review[field] = req.body[field] || null;
+      });
+      const ratingChanged = review.isModified('rating');
+      await review.save();
+      const ratings = ratingChanged
+        ? await Review.recomputeRatings(targetType, item._id)
+        : { average: item.ratings.average, count: item.ratings.count };
+
+      res.json({
+        success: true,
+        message: 'Review updated successfully',
+        data: { review, ratings }
+      });
+    } catch (error) {
+      sendReviewError(res, error, 'Update');
+    }
+  });
+
+  // @route   DELETE /:id/reviews/:reviewId
+  // @desc    Delete a review
+  // @access  Private (author or admin)
+  router.delete('/:reviewId', authenticateToken, async (req, res) => {
+    try {
+      const item = await target(req, res);
+      if (!item) return;
+      const review = await findReview(req, res);
+      if (!review) return;
+
+      if (!review.user.equals(req.user._id) && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only delete your own review'
+        });
+      }
+
+      await review.deleteOne();
+      const ratings = await Review.recomputeRatings(targetType, item._id);
+
+      res.json({
+        success: true,
+        message: 'Review deleted successfully',
+        data: { ratings }
+      });
+    } catch (error) {
+      sendReviewError(res, error, 'Delete');
+    }
+  });
+
+  // Add or remove the current user's helpful vote. The updates are
+  // conditional, so repeated votes are no-ops and the count stays in step.
+  const helpfulRoute = (add) => async (req, res) => {
+    try {
+      const item = await target(req, res);
+      if (!item) return;
+      const review = await findReview(req, res);
+      if (!review) return;
+
+      if (review.user.equals(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot vote on your own review'
+        });
+      }
+
+      const update = add
+        ? { filter: { helpfulVoters: { $ne: req.user._id } }, change: { $addToSet: { helpfulVoters: req.user._id }, $inc: { helpfulCount: 1 } } }
+        : { filter: { helpfulVoters: req.user._id }, change: { $pull: { helpfulVoters: req.user._id }, $inc: { helpfulCount: -1 } } };
+      const updated = await Review.findOneAndUpdate(
+        { _id: review._id, ...update.filter },
+        update.change,
+        { new: true }
+      );
+
+      res.json({
+        success: true,
+        message: add ? 'Marked as helpful' : 'Helpful vote removed',
+        data: { helpfulCount: (updated || review).helpfulCount }
+      });
+    } catch (error) {
+      console.error('Helpful vote error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while voting on review'
+      });
+    }
+  };
+
+  // @route   POST /:id/reviews/:reviewId/helpful
+  // @desc    Mark a review as helpful
+  // @access  Private
+  router.post('/:reviewId/helpful', authenticateToken, helpfulRoute(true));
+
+  // @route   DELETE /:id/reviews/:reviewId/helpful
+  // @desc    Remove your helpful vote
+  // @access  Private
+  router.delete('/:reviewId/helpful', authenticateToken, helpfulRoute(false));
+
+  return router;
+};
+
+module.exports = {
+  createReviewRouter
+};
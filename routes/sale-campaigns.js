@@ -0,0 +1,323 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const SaleCampaign = require('../models/SaleCampaign');
+const Furniture = require('../models/Furniture');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { toValidationErrors } = require('../utils/modelErrors');
+const { CURRENCIES } = require('../utils/currency');
+
+const router = express.Router();
+
+const CATEGORIES = ['Seating', 'Tables', 'Storage', 'Lighting', 'Bedroom', 'Decorative', 'Kitchen', 'Bathroom', 'Outdoor'];
+const EDITABLE_FIELDS = ['name', 'description', 'target', 'discount', 'startsAt', 'endsAt'];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendModelValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: toValidationErrors(error)
+});
+
+// Request-shape checks; the schema checks the rest on save. On update every
+// field is optional.
+const campaignRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(body('name'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name is required and cannot exceed 100 characters'),
+    body('description')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    body(['target.categories', 'target.brands', 'target.tags'])
+      .optional()
+      .isArray()
+      .withMessage('Targets must be arrays'),
+    body('target.categories.*')
+      .isIn(CATEGORIES)
+      .withMessage('Invalid category'),
+    body(['target.brands.*', 'target.tags.*'])
+      .isString()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Brands and tags must be 1-50 characters'),
+    required(body('discount.type'))
+      .isIn(['percentage', 'fixed'])
+      .withMessage('Discount type must be percentage or fixed'),
+    required(body('discount.value'))
+      .isFloat({ gt: 0 })
+      .withMessage('Discount value must be a positive number'),
+    body('discount.currency')
+      .optional()
+      .isIn(CURRENCIES)
+      .withMessage(`Currency must be one of: ${CURRENCIES.join(', ')}`),
+    required(body(['startsAt', 'endsAt']))
+      .isISO8601()
+      .withMessage('Dates must be ISO 8601 dates'),
+    body('endsAt')
+      .optional()
+      .custom(value => new Date(value) > new Date())
+      .withMessage('End date must be in the future')
+  ];
+};
+
+const pickEditable = (source) => EDITABLE_FIELDS.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+// Campaign by id, or a 404
+const findCampaign = async (req, res) => {
+  const campaign = mongoose.isValidObjectId(req.params.id) ? await SaleCampaign.findById(req.params.id) : null;
+  if (!campaign) {
+    res.status(404).json({ success: false, message: 'Sale campaign not found' });
+  }
+  return campaign;
+};
+
+// Ended and cancelled campaigns are history; reply 400 instead of changing
+// them
+const denyIfClosed = (res, campaign) => {
+  if (!['ended', 'cancelled'].includes(campaign.status)) return false;
+  res.status(400).json({
+    success: false,
+    message: `This campaign has ${campaign.status === 'ended' ? 'ended' : 'been cancelled'}`
+  });
+  return true;
+};
+
+// @route   GET /api/sale-campaigns
+// @desc    Sale campaigns, latest start first
+// @access  Admin
+router.get('/', [
+  authenticateToken,
+  requireAdmin,
+  query('status')
+    .optional()
+    .isIn(['scheduled', 'active', 'ended', 'cancelled'])
+    .withMessage('Status must be scheduled, active, ended or cancelled'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const now = new Date();
+    const filter = {
+      scheduled: { cancelledAt: null, startsAt: { $gt: now } },
+      active: { cancelledAt: null, startsAt: { $lte: now }, endsAt: { $gte: now } },
+      ended: { cancelledAt: null, endsAt: { $lt: now } },
+      cancelled: { cancelledAt: { $ne: null } }
+    }[req.query.status] || {};
+
+    const [campaigns, total] = await Promise.all([
+      SaleCampaign.find(filter)
+        .sort({ startsAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('createdBy', 'firstName lastName email'),
+      SaleCampaign.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        campaigns,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get sale campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sale campaigns'
+    });
+  }
+});
+
+// @route   GET /api/sale-campaigns/:id
+// @desc    Sale campaign with the items currently on its sale
+// @access  Admin
+router.get('/:id', [
+  authenticateToken,
+  requireAdmin
+], async (req, res) => {
+  try {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+
+    const furniture = await Furniture.find({ 'pricing.saleCampaign': campaign._id })
+      .select('name brand category currency pricing')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { campaign, furniture }
+    });
+  } catch (error) {
+    console.error('Get sale campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sale campaign'
+    });
+  }
+});
+
+// @route   POST /api/sale-campaigns
+// @desc    Create a sale campaign and put its items on sale. Items already
+//          on another sale are skipped and listed.
+// @access  Admin
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  ...campaignRules(false)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const campaign = new SaleCampaign({ ...pickEditable(req.body), createdBy: req.user._id });
+    await campaign.validate();
+    const result = await campaign.apply();
+
+    res.status(201).json({
+      success: true,
+      message: 'Sale campaign created successfully',
+      data: { campaign, ...result }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendModelValidationError(res, error);
+    }
+    console.error('Create sale campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating sale campaign'
+    });
+  }
+});
+
+// @route   PUT /api/sale-campaigns/:id
+// @desc    Change a scheduled or running campaign and re-apply it
+// @access  Admin
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  ...campaignRules(true)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+    if (denyIfClosed(res, campaign)) return;
+
+    campaign.set(pickEditable(req.body), undefined, { merge: true });
+    await campaign.validate();
+    const result = await campaign.apply();
+
+    res.json({
+      success: true,
+      message: 'Sale campaign updated successfully',
+      data: { campaign, ...result }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendModelValidationError(res, error);
+    }
+    console.error('Update sale campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating sale campaign'
+    });
+  }
+});
+
+// @route   POST /api/sale-campaigns/:id/apply
+// @desc    Re-apply a campaign, e.g. to include items added to the catalog
+//          since it was created
+// @access  Admin
+router.post('/:id/apply', [
+  authenticateToken,
+  requireAdmin
+], async (req, res) => {
+  try {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+    if (denyIfClosed(res, campaign)) return;
+
+    const result = await campaign.apply();
+
+    res.json({
+      success: true,
+      message: 'Sale campaign applied',
+      data: { campaign, ...result }
+    });
+  } catch (error) {
+    console.error('Apply sale campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying sale campaign'
+    });
+  }
+});
+
+// @route   POST /api/sale-campaigns/:id/cancel
+// @desc    Cancel a campaign and take its sale off every item
+// @access  Admin
+router.post('/:id/cancel', [
+  authenticateToken,
+  requireAdmin
+], async (req, res) => {
+  try {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+    if (denyIfClosed(res, campaign)) return;
+
+    campaign.cancelledAt = new Date();
+    await campaign.save();
+    const removed = await campaign.removeSales();
+
+    res.json({
+      success: true,
+      message: 'Sale campaign cancelled',
+      data: { campaign, removed }
+    });
+  } catch (error) {
+    console.error('Cancel sale campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling sale campaign'
+    });
+  }
+});
+
+module.exports = router;
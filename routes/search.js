@@ -0,0 +1,64 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { getSearchIndex } = require('../jobs/searchIndex');
+const { searchSuggestIndex } = require('../utils/suggest');
+
+const router = express.Router();
+
+const SUGGESTION_TYPES = ['furniture', 'brand', 'tag', 'template'];
+
+// @route   GET /api/search/suggest
+// @desc    Autocomplete suggestions for furniture, brands, tags and templates,
+//          matched by prefix or with a typo or two, most popular first
+// @access  Public
+router.get('/suggest', [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Query is required and cannot exceed 100 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+  query('types')
+    .optional()
+    .customSanitizer(value => (Array.isArray(value) ? value : String(value).split(',')))
+    .isIn(SUGGESTION_TYPES)
+    .withMessage(`Types must be any of: ${SUGGESTION_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q, types } = req.query;
+    const index = await getSearchIndex();
+    const suggestions = searchSuggestIndex(index, q, {
+      limit: parseInt(req.query.limit) || 8,
+      types: types ? (Array.isArray(types) ? types : String(types).split(',')) : null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        suggestions,
+        indexedAt: index.builtAt
+      }
+    });
+  } catch (error) {
+    console.error('Search suggest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching suggestions'
+    });
+  }
+});
+
+module.exports = router;
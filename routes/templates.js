@@ -0,0 +1,1120 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Template = require('../models/Template');
+const DesignFile = require('../models/DesignFile');
+const DesignFileRevision = require('../models/DesignFileRevision');
+const Furniture = require('../models/Furniture');
+const Review = require('../models/Review');
+const CatalogEvent = require('../models/CatalogEvent');
+const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { currencyRules, loadConversion, describeConversion } = require('../middleware/currency');
+const { sceneFromTemplate, normalizeScene } = require('../utils/sceneSchema');
+const { getAddedFurnitureIds } = require('../utils/scene');
+const { fitSceneToRoom } = require('../utils/templateFit');
+const { buildFloorPlan, renderFloorPlanSvg } = require('../utils/floorPlan');
+const { createReviewRouter } = require('./reviews');
+const { convertTotals } = require('../utils/currency');
+const { escapeRegex } = require('../utils/regex');
+
+const router = express.Router();
+
+const CATEGORIES = ['living', 'bedroom', 'kitchen', 'bathroom', 'office', 'outdoor', 'commercial', 'studio', 'dining'];
+const STYLES = ['modern', 'traditional', 'contemporary', 'minimalist', 'industrial', 'scandinavian', 'bohemian', 'rustic', 'mid-century', 'art-deco'];
+const SORT_FIELDS = {
+  name: 'name',
+  popularity: 'popularity',
+  usage: 'usageCount',
+  rating: 'ratings.average',
+  createdAt: 'createdAt'
+};
+
+// Listings leave out the layout itself; it is returned by GET /:id
+const SUMMARY_FIELDS = '-walls -windows -furniture -metadata.costBreakdown';
+const THUMBNAIL_WIDTH = 480; // pixels
+
+const paginationRules = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const getPlan = (req) => (req.user ? req.user.subscription.plan : 'free');
+
+// Template cost in the requested currency, summed from the per-currency
+// totals
+const convertedCost = (template, { currency, rates }) =>
+  convertTotals(template.getCostTotals(), currency, rates);
+
+// Flag each template with whether the caller's plan unlocks it, and add its
+// cost in the requested currency
+const withAccess = (templates, plan, conversion) => templates.map(template => ({
+  ...template.toObject(),
+  canAccess: template.canAccess(plan),
+  convertedCost: convertedCost(template, conversion)
+}));
+
+const paginate = (page, limit, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  totalItems: total,
+  itemsPerPage: limit,
+  hasNextPage: page < Math.ceil(total / limit),
+  hasPrevPage: page > 1
+});
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Active template by id, or null (including malformed ids)
+const findActiveTemplate = async (id) => {
+  try {
+    return await Template.findOne({ _id: id, isActive: true });
+  } catch (error) {
+    if (error.name === 'CastError') return null;
+    throw error;
+  }
+};
+
+// Reply 401/403 when the caller's plan does not unlock a template
+const denyIfLocked = (req, res, template) => {
+  const plan = getPlan(req);
+  if (template.canAccess(plan)) return false;
+
+  if (!req.user) {
+    res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  } else {
+    res.status(403).json({
+      success: false,
+      message: `${template.requirements.subscription} subscription required`,
+      requiredPlan: template.requirements.subscription,
+      currentPlan: plan
+    });
+  }
+  return true;
+};
+
+// @route   GET /api/templates
+// @desc    Get templates
+// @access  Public
+router.get('/', [
+  optionalAuth,
+  ...paginationRules,
+  query('category')
+    .optional()
+    .isIn(CATEGORIES)
+    .withMessage('Invalid category'),
+  query('subcategory')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Subcategory must be text of at most 50 characters'),
+  query('style')
+    .optional()
+    .isIn(STYLES)
+    .withMessage('Invalid style'),
+  query('difficulty')
+    .optional()
+    .isIn(['beginner', 'intermediate', 'advanced'])
+    .withMessage('Invalid difficulty'),
+  query('subscription')
+    .optional()
+    .isIn(['free', 'pro', 'enterprise'])
+    .withMessage('Invalid subscription plan'),
+  query('featured')
+    .optional()
+    .isBoolean()
+    .withMessage('Featured must be a boolean'),
+  query('premium')
+    .optional()
+    .isBoolean()
+    .withMessage('Premium must be a boolean'),
+  query('accessible')
+    .optional()
+    .isBoolean()
+    .withMessage('Accessible must be a boolean'),
+  query('maxTime')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Max time must be a positive integer'),
+  query('sortBy')
+    .optional()
+    .isIn(Object.keys(SORT_FIELDS))
+    .withMessage('Invalid sort field'),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  ...currencyRules,
+  loadConversion
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const plan = getPlan(req);
+    const {
+      search,
+      category,
+      subcategory,
+      style,
+      difficulty,
+      subscription,
+      featured,
+      premium,
+      accessible,
+      maxTime,
+      tags,
+      sortBy = 'popularity',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Build query
+    const query = { isActive: true };
+
+    if (search) {
+      query.$text = { $search: search };
+    }
+
+    if (category) {
+      query.category = category;
+    }
+
+    if (subcategory) {
+      query.subcategory = { $regex: escapeRegex(subcategory), $options: 'i' };
+    }
+
+    if (style) {
+      query.style = style;
+    }
+
+    if (difficulty) {
+      query.difficulty = difficulty;
+    }
+
+    if (subscription) {
+      query['requirements.subscription'] = subscription;
+    }
+
+    // Only templates the caller's plan unlocks
+    if (accessible === 'true') {
+      const plans = ['free', 'pro', 'enterprise'];
+      query['requirements.subscription'] = {
+        ...(subscription ? { $eq: subscription } : {}),
+        $in: plans.slice(0, plans.indexOf(plan) + 1)
+      };
+    }
+
+    if (featured !== undefined) {
+      query.isFeatured = featured === 'true';
+    }
+
+    if (premium !== undefined) {
+      query.isPremium = premium === 'true';
+    }
+
+    if (maxTime !== undefined) {
+      query.estimatedTime = { $lte: parseInt(maxTime) };
+    }
+
+    if (tags) {
+      query.tags = { $in: Array.isArray(tags) ? tags : [tags] };
+    }
+
+    // Build sort object
+    const sort = {};
+    if (search) {
+      sort.score = { $meta: 'textScore' };
+    }
+    sort[SORT_FIELDS[sortBy]] = sortOrder === 'desc' ? -1 : 1;
+
+    const [templates, total] = await Promise.all([
+      Template.find(query, search ? { score: { $meta: 'textScore' } } : {})
+        .select(SUMMARY_FIELDS)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      Template.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        templates: withAccess(templates, plan, req.conversion),
+        pagination: paginate(page, limit, total),
+        exchangeRate: describeConversion(req.conversion)
+      }
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching templates'
+    });
+  }
+});
+
+// @route   GET /api/templates/categories
+// @desc    Get template categories
+// @access  Public
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = await Template.aggregate([
+      { $match: { isActive: true } },
+      {
+        $group: {
+          _id: '$category',
+          count: { $sum: 1 },
+          styles: { $addToSet: '$style' },
+          subcategories: { $addToSet: '$subcategory' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          category: '$_id',
+          count: 1,
+          styles: 1,
+          subcategories: {
+            $filter: {
+              input: '$subcategories',
+              cond: { $ne: ['$$this', null] }
+            }
+          }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: { categories }
+    });
+  } catch (error) {
+    console.error('Get template categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching template categories'
+    });
+  }
+});
+
+// @route   GET /api/templates/featured
+// @desc    Get featured templates
+// @access  Public
+router.get('/featured', [
+  optionalAuth,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  ...currencyRules,
+  loadConversion
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const limit = parseInt(req.query.limit) || 10;
+    const templates = await Template.getFeatured(limit).select(SUMMARY_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        templates: withAccess(templates, getPlan(req), req.conversion),
+        exchangeRate: describeConversion(req.conversion)
+      }
+    });
+  } catch (error) {
+    console.error('Get featured templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching featured templates'
+    });
+  }
+});
+
+// @route   GET /api/templates/search
+// @desc    Search templates
+// @access  Public
+router.get('/search', [
+  optionalAuth,
+  query('q')
+    .trim()
+    .notEmpty()
+    .withMessage('Search query is required'),
+  ...paginationRules,
+  ...currencyRules,
+  loadConversion
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { q: search } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const [templates, total] = await Promise.all([
+      Template.search(search)
+        .select(SUMMARY_FIELDS)
+        .skip(skip)
+        .limit(limit),
+      Template.countDocuments({ $text: { $search: search }, isActive: true })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        templates: withAccess(templates, getPlan(req), req.conversion),
+        query: search,
+        pagination: paginate(page, limit, total),
+        exchangeRate: describeConversion(req.conversion)
+      }
+    });
+  } catch (error) {
+    console.error('Search templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching templates'
+    });
+  }
+});
+
+// @route   GET /api/templates/category/:category
+// @desc    Get templates by category
+// @access  Public
+router.get('/category/:category', [
+  optionalAuth,
+  ...paginationRules,
+  ...currencyRules,
+  loadConversion
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { category } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const [templates, total] = await Promise.all([
+      Template.getByCategory(category, limit, skip).select(SUMMARY_FIELDS),
+      Template.countDocuments({ category, isActive: true })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        templates: withAccess(templates, getPlan(req), req.conversion),
+        pagination: paginate(page, limit, total),
+        exchangeRate: describeConversion(req.conversion)
+      }
+    });
+  } catch (error) {
+    console.error('Get templates by category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching templates by category'
+    });
+  }
+});
+
+// @route   GET /api/templates/style/:style
+// @desc    Get templates by style
+// @access  Public
+router.get('/style/:style', [
+  optionalAuth,
+  ...paginationRules,
+  ...currencyRules,
+  loadConversion
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { style } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const [templates, total] = await Promise.all([
+      Template.getByStyle(style, limit, skip).select(SUMMARY_FIELDS),
+      Template.countDocuments({ style, isActive: true })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        templates: withAccess(templates, getPlan(req), req.conversion),
+        pagination: paginate(page, limit, total),
+        exchangeRate: describeConversion(req.conversion)
+      }
+    });
+  } catch (error) {
+    console.error('Get templates by style error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching templates by style'
+    });
+  }
+});
+
+// Template layout and metadata derived from a design file's scene
+const deriveTemplateLayout = (sceneData) => {
+  const walls = sceneData.walls || [];
+  const points = walls.flatMap(wall => wall.points);
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const width = Math.max(...xs) - Math.min(...xs);
+  const depth = Math.max(...ys) - Math.min(...ys);
+  const plan = buildFloorPlan({ sceneData, annotate: false });
+  const area = plan.totalArea > 0 ? plan.totalArea : width * depth;
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    walls,
+    windows: sceneData.windows || [],
+    // Template furniture must reference the catalog
+    furniture: (sceneData.furniture || []).filter(item => item.furnitureId),
+    skippedFurniture: (sceneData.furniture || []).filter(item => !item.furnitureId).length,
+    roomSize: {
+      width: round(width),
+      depth: round(depth),
+      height: round(Math.max(...walls.map(wall => wall.height))),
+      unit: 'm'
+    },
+    metadata: {
+      totalArea: round(area),
+      wallCount: walls.length,
+      windowCount: (sceneData.windows || []).length
+    },
+    thumbnailSvg: renderFloorPlanSvg(plan, { pixelWidth: THUMBNAIL_WIDTH })
+  };
+};
+
+// @route   POST /api/templates/submissions
+// @desc    Submit one of your design files as a template for review
+// @access  Private
+router.post('/submissions', [
+  authenticateToken,
+  body('designFileId')
+    .isMongoId()
+    .withMessage('Valid design file id is required'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Description must be between 10 and 500 characters'),
+  body('category')
+    .isIn(CATEGORIES)
+    .withMessage('Invalid category'),
+  body('subcategory')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Subcategory cannot exceed 50 characters'),
+  body('style')
+    .isIn(STYLES)
+    .withMessage('Invalid style'),
+  body('difficulty')
+    .optional()
+    .isIn(['beginner', 'intermediate', 'advanced'])
+    .withMessage('Invalid difficulty'),
+  body('estimatedTime')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Estimated time must be between 1 and 1440 minutes'),
+  body('tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Tags must be an array of at most 10 items'),
+  body('tags.*')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tags must be between 1 and 30 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const file = await DesignFile.findById(req.body.designFileId);
+    if (!file || file.user.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Design file not found'
+      });
+    }
+
+    const scene = normalizeScene(file.sceneData);
+    if (scene.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Design file scene is invalid',
+        errors: scene.errors
+      });
+    }
+    if (!Array.isArray(scene.sceneData.walls) || scene.sceneData.walls.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Design file has no walls to build a template from'
+      });
+    }
+
+    const pending = await Template.exists({ design: file._id, author: req.user._id, status: 'pending' });
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: 'This design file is already waiting for review'
+      });
+    }
+
+    const { skippedFurniture, ...layout } = deriveTemplateLayout(scene.sceneData);
+    const template = new Template({
+      ...layout,
+      name: req.body.name || file.name,
+      description: req.body.description,
+      category: req.body.category,
+      subcategory: req.body.subcategory,
+      style: req.body.style,
+      difficulty: req.body.difficulty,
+      estimatedTime: req.body.estimatedTime,
+      tags: req.body.tags,
+      design: file._id,
+      author: req.user._id,
+      requirements: { subscription: 'free', features: [] },
+      isActive: false,
+      status: 'pending',
+      moderation: { submittedAt: new Date() }
+    });
+    template.thumbnail = `/api/templates/${template._id}/thumbnail`;
+    await template.save();
+
+    const data = template.toObject();
+    delete data.thumbnailSvg;
+
+    res.status(201).json({
+      success: true,
+      message: 'Template submitted for review',
+      data: {
+        template: data,
+        skippedFurniture
+      }
+    });
+  } catch (error) {
+    console.error('Submit template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting template'
+    });
+  }
+});
+
+// @route   GET /api/templates/submissions
+// @desc    Get your template submissions and their review status
+// @access  Private
+router.get('/submissions', [
+  authenticateToken,
+  ...paginationRules
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const query = { author: req.user._id };
+
+    const [templates, total] = await Promise.all([
+      Template.find(query)
+        .select(SUMMARY_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Template.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        pagination: paginate(page, limit, total)
+      }
+    });
+  } catch (error) {
+    console.error('Get template submissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching template submissions'
+    });
+  }
+});
+
+// @route   GET /api/templates/admin/submissions
+// @desc    Get the template moderation queue (oldest first)
+// @access  Admin
+router.get('/admin/submissions', [
+  authenticateToken,
+  requireAdmin,
+  ...paginationRules,
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const query = {
+      author: { $ne: null },
+      status: req.query.status || 'pending'
+    };
+
+    const [templates, total] = await Promise.all([
+      Template.find(query)
+        .select(SUMMARY_FIELDS)
+        .populate('author', 'firstName lastName email')
+        .populate('moderation.reviewedBy', 'firstName lastName')
+        .sort({ 'moderation.submittedAt': 1 })
+        .skip(skip)
+        .limit(limit),
+      Template.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        pagination: paginate(page, limit, total)
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching moderation queue'
+    });
+  }
+});
+
+// Submission by id for admins, whatever its status
+const findSubmission = async (id, select = '') => {
+  try {
+    return await Template.findOne({ _id: id, author: { $ne: null } }).select(select);
+  } catch (error) {
+    if (error.name === 'CastError') return null;
+    throw error;
+  }
+};
+
+// @route   GET /api/templates/admin/submissions/:id
+// @desc    Get a submission with its layout and thumbnail
+// @access  Admin
+router.get('/admin/submissions/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const template = await findSubmission(req.params.id, '+thumbnailSvg');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    await template.populate('author', 'firstName lastName email');
+
+    res.json({
+      success: true,
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Get submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching submission'
+    });
+  }
+});
+
+// @route   POST /api/templates/admin/submissions/:id/approve
+// @desc    Approve a submission and publish it
+// @access  Admin
+router.post('/admin/submissions/:id/approve', [
+  authenticateToken,
+  requireAdmin,
+  body('isFeatured')
+    .optional()
+    .isBoolean()
+    .withMessage('Featured must be a boolean')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const template = await findSubmission(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (template.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Submission has already been ${template.status}`
+      });
+    }
+
+    template.status = 'approved';
+    template.isActive = true;
+    template.isFeatured = req.body.isFeatured === true || req.body.isFeatured === 'true';
+    template.moderation.reviewedBy = req.user._id;
+    template.moderation.reviewedAt = new Date();
+    template.moderation.reason = null;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Template approved',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Approve template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving template'
+    });
+  }
+});
+
+// @route   POST /api/templates/admin/submissions/:id/reject
+// @desc    Reject a submission with a reason for the author
+// @access  Admin
+router.post('/admin/submissions/:id/reject', [
+  authenticateToken,
+  requireAdmin,
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required and cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const template = await findSubmission(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (template.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Submission has already been ${template.status}`
+      });
+    }
+
+    template.status = 'rejected';
+    template.isActive = false;
+    template.moderation.reviewedBy = req.user._id;
+    template.moderation.reviewedAt = new Date();
+    template.moderation.reason = req.body.reason;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Template rejected',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Reject template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting template'
+    });
+  }
+});
+
+// @route   GET /api/templates/:id/thumbnail
+// @desc    Get the generated floor plan thumbnail of a submitted template
+// @access  Public (pending and rejected submissions: author or admin)
+router.get('/:id/thumbnail', optionalAuth, async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.id).select('+thumbnailSvg');
+    const canSeeUnpublished = Boolean(req.user) && Boolean(template) &&
+      (req.user.role === 'admin' || (template.author && template.author.equals(req.user._id)));
+
+    if (!template || !template.thumbnailSvg || (!template.isActive && !canSeeUnpublished)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'image/svg+xml',
+      // Unpublished thumbnails must not end up in shared caches
+      'Cache-Control': template.isActive ? 'public, max-age=86400' : 'private, no-store'
+    });
+    res.send(template.thumbnailSvg);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not found'
+      });
+    }
+    console.error('Get template thumbnail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching thumbnail'
+    });
+  }
+});
+
+// @route   GET /api/templates/:id
+// @desc    Get single template with its layout
+// @access  Public (premium templates need a matching plan)
+router.get('/:id', [
+  optionalAuth,
+  ...currencyRules,
+  loadConversion
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const template = await findActiveTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    if (denyIfLocked(req, res, template)) return;
+
+    await template.populate('furniture.furnitureId', 'name brand category images pricing currency dimensions model3D');
+    const similar = await template.getSimilar(5).select(SUMMARY_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        template: { ...template.toObject(), convertedCost: convertedCost(template, req.conversion) },
+        similar: withAccess(similar, getPlan(req), req.conversion),
+        exchangeRate: describeConversion(req.conversion)
+      }
+    });
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching template'
+    });
+  }
+});
+
+// @route   POST /api/templates/:id/use
+// @desc    Create a design file from a template, optionally fitted to the
+//          caller's room size
+// @access  Private
+router.post('/:id/use', [
+  authenticateToken,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('roomSize')
+    .optional()
+    .isObject()
+    .withMessage('Room size must be an object'),
+  body('roomSize.width')
+    .if(body('roomSize').exists())
+    .isFloat({ gt: 0 })
+    .withMessage('Room width must be a positive number'),
+  body('roomSize.depth')
+    .if(body('roomSize').exists())
+    .isFloat({ gt: 0 })
+    .withMessage('Room depth must be a positive number'),
+  body('roomSize.height')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Room height must be a positive number'),
+  body('roomSize.unit')
+    .optional()
+    .isIn(['cm', 'm', 'in', 'ft'])
+    .withMessage('Unit must be cm, m, in or ft')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const template = await findActiveTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    if (denyIfLocked(req, res, template)) return;
+
+    let sceneData = sceneFromTemplate(template);
+    let fit = null;
+    if (req.body.roomSize) {
+      const { width, depth, height, unit } = req.body.roomSize;
+      fit = fitSceneToRoom({
+        sceneData,
+        roomSize: template.roomSize,
+        target: {
+          width: parseFloat(width),
+          depth: parseFloat(depth),
+          height: height !== undefined ? parseFloat(height) : undefined,
+          unit: unit || 'm'
+        },
+        furnitureById: await Furniture.findForScene(sceneData)
+      });
+      sceneData = fit.sceneData;
+    }
+
+    const scene = normalizeScene(sceneData);
+    if (scene.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template layout is invalid',
+        errors: scene.errors
+      });
+    }
+
+    const file = new DesignFile({
+      user: req.user._id,
+      name: req.body.name || template.name,
+      description: template.description.slice(0, 300),
+      sceneData: scene.sceneData
+    });
+    await file.save();
+    await DesignFileRevision.record(file, req.user._id, 'create');
+    await DesignFileRevision.prune(file._id, req.user.subscription.plan);
+
+    await template.incrementUsage();
+    // Not awaited: tracking never fails the request
+    CatalogEvent.record('template-use', getAddedFurnitureIds(null, file.sceneData), {
+      user: req.user._id,
+      designFile: file._id,
+      template: template._id
+    });
+
+    res.set('ETag', file.getETag());
+    res.status(201).json({
+      success: true,
+      message: 'Design created from template',
+      data: {
+        designFile: file,
+        template: {
+          _id: template._id,
+          name: template.name,
+          usageCount: template.usageCount
+        },
+        fit: fit && {
+          roomSize: fit.roomSize,
+          scale: fit.scale,
+          adjustments: fit.adjustments
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Use template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while using template'
+    });
+  }
+});
+
+// @route   POST /api/templates/:id/rate
+// @desc    Rate template (sets the user's review rating)
+// @access  Private
+router.post('/:id/rate', [
+  authenticateToken,
+  body('rating')
+    .isFloat({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const template = await findActiveTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    if (denyIfLocked(req, res, template)) return;
+
+    const ratings = await Review.rate('Template', template._id, req.user._id, parseFloat(req.body.rating));
+
+    res.json({
+      success: true,
+      message: 'Rating submitted successfully',
+      data: {
+        averageRating: ratings.average,
+        ratingCount: ratings.count
+      }
+    });
+  } catch (error) {
+    console.error('Rate template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rating template'
+    });
+  }
+});
+
+// @route   /api/templates/:id/reviews
+// @desc    Reviews of an active template (see routes/reviews.js). Anyone can
+//          read them; writing one needs a plan that unlocks the template.
+router.use('/:id/reviews', optionalAuth, createReviewRouter({
+  targetType: 'Template',
+  label: 'Template',
+  loadTarget: async (req, res, { forWrite }) => {
+    const template = await findActiveTemplate(req.params.id);
+    if (!template) {
+      res.status(404).json({ success: false, message: 'Template not found' });
+      return null;
+    }
+    if (forWrite && denyIfLocked(req, res, template)) return null;
+    return template;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Furniture = require('../models/Furniture');
+
+// Fill `colors[].lab` for every furniture item. Run once after deploying the
+// color search; afterwards saves and updates keep it in sync.
+async function backfillColors() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/designspace3d');
+    console.log('Connected to MongoDB');
+
+    await Furniture.createIndexes();
+    const count = await Furniture.syncColorLab();
+    console.log(`Stored Lab colors of ${count} furniture items`);
+  } catch (error) {
+    console.error('Error backfilling colors:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  backfillColors();
+}
+
+module.exports = { backfillColors };
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+require('../models/Furniture');
+const PriceHistory = require('../models/PriceHistory');
+
+// Record the pricing of every furniture item that has no price history yet.
+// Run once after deploying price history, before prices start changing;
+// afterwards saves, imports and sale campaigns record every change.
+async function backfillPriceHistory() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/designspace3d');
+    console.log('Connected to MongoDB');
+
+    await PriceHistory.createIndexes();
+    const count = await PriceHistory.backfillBaselines();
+    console.log(`Recorded starting prices of ${count} furniture items`);
+  } catch (error) {
+    console.error('Error backfilling price history:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  backfillPriceHistory();
+}
+
+module.exports = { backfillPriceHistory };
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Template = require('../models/Template');
+
+// Re-price every template from the current catalog. Run once after
+// deploying cost breakdowns; afterwards Furniture changes and the hourly
+// job keep costs current.
+async function recalculateTemplateCosts() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/designspace3d');
+    console.log('Connected to MongoDB');
+
+    const count = await Template.refreshCosts();
+    console.log(`Re-priced ${count} templates`);
+  } catch (error) {
+    console.error('Error recalculating template costs:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  recalculateTemplateCosts();
+}
+
+module.exports = { recalculateTemplateCosts };
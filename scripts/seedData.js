@@ -6,6 +6,7 @@ require('dotenv').config();
 const User = require('../models/User');
 const Furniture = require('../models/Furniture');
 const Template = require('../models/Template');
+const ExchangeRate = require('../models/ExchangeRate');
 
 // Sample furniture data
 const sampleFurniture = [
@@ -355,6 +356,12 @@ const sampleUsers = [
   }
 ];
 
+// Sample exchange rates (per one USD) so prices convert out of the box
+const sampleExchangeRates = {
+  rates: { EUR: 0.92, GBP: 0.79, CAD: 1.36, AUD: 1.52 },
+  note: 'Sample rates from the seed script'
+};
+
 async function seedDatabase() {
   try {
     // Connect to MongoDB
@@ -369,6 +376,7 @@ async function seedDatabase() {
     await User.deleteMany({});
     await Furniture.deleteMany({});
     await Template.deleteMany({});
+    await ExchangeRate.deleteMany({});
 
     console.log('Cleared existing data');
 
@@ -381,6 +389,10 @@ async function seedDatabase() {
       console.log(`Created user: ${user.email}`);
     }
 
+    // Create sample exchange rates
+    await ExchangeRate.create({ ...sampleExchangeRates, effectiveDate: new Date(), createdBy: users[0]._id });
+    console.log('Created sample exchange rates');
+
     // Create sample furniture
     const furniture = [];
     for (const furnitureData of sampleFurniture) {
@@ -5,6 +5,10 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 require('dotenv').config();
+const { startTemplateCostJob } = require('./jobs/templateCosts');
+const { startTrendingJob } = require('./jobs/trending');
+const { startSearchIndexJob } = require('./jobs/searchIndex');
+const { startAffinityJob } = require('./jobs/affinity');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -54,11 +58,13 @@ app.use(cors({
       }
     }
   },
-  credentials: true
+  credentials: true,
+  // Lets the editor read design file revisions for If-Match saves
+  exposedHeaders: ['ETag']
 }));
 
 // Body parsing middleware - MUST be before loggers that read body
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/json-patch+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware - AFTER body parser
@@ -94,6 +100,10 @@ mongoose.connect(process.env.MONGODB_URI, {
 .then(() => {
   console.log('✅ MongoDB connected successfully');
   console.log(`📊 Database: ${mongoose.connection.name}`);
+  startTemplateCostJob();
+  startTrendingJob();
+  startSearchIndexJob();
+  startAffinityJob();
 })
 .catch(err => {
   console.error('❌ MongoDB connection error:', err);
@@ -123,6 +133,12 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/furniture', require('./routes/furniture'));
 app.use('/api/ai-tools', require('./routes/ai-tools'));
 app.use('/api/design-files', require('./routes/design-files'));
+app.use('/api/templates', require('./routes/templates'));
+app.use('/api/export', require('./routes/export'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/exchange-rates', require('./routes/exchange-rates'));
+app.use('/api/sale-campaigns', require('./routes/sale-campaigns'));
+app.use('/api/collections', require('./routes/collections'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,144 @@
+const { isPlainObject } = require('./scene');
+const { toCsv } = require('./csv');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Issues that make a line unorderable as-is
+const getLineFlags = (item, quantity) => {
+  if (!item) return ['not-found'];
+  const flags = [];
+  if (!item.isActive) flags.push('inactive');
+  const { inStock, quantity: stock } = item.availability || {};
+  if (!inStock || stock === 0) {
+    flags.push('out-of-stock');
+  } else if (stock !== null && stock !== undefined && stock < quantity) {
+    flags.push('insufficient-stock');
+  }
+  return flags;
+};
+
+// Resolve a scene's furniture against the catalog (see
+// Furniture.findForScene) and price it. Lines are grouped by catalog item;
+// totals are per currency, since prices are not converted.
+const buildBillOfMaterials = (sceneData, furnitureById) => {
+  const furniture = isPlainObject(sceneData) && Array.isArray(sceneData.furniture) ? sceneData.furniture : [];
+  const quantities = new Map();
+  let unlinkedItems = 0;
+
+  furniture.filter(isPlainObject).forEach(placed => {
+    if (!placed.furnitureId) {
+      unlinkedItems += 1;
+      return;
+    }
+    const id = placed.furnitureId.toString();
+    quantities.set(id, (quantities.get(id) || 0) + 1);
+  });
+
+  const lines = [...quantities].map(([furnitureId, quantity]) => {
+    const item = furnitureById.get(furnitureId);
+    const flags = getLineFlags(item, quantity);
+    if (!item) {
+      return { furnitureId, name: null, quantity, flags };
+    }
+
+    const unitPrice = item.currentPrice;
+    return {
+      furnitureId,
+      name: item.name,
+      brand: item.brand,
+      model: item.model || null,
+      category: item.category,
+      quantity,
+      unitPrice,
+      retailPrice: item.pricing.retail,
+      onSale: unitPrice < item.pricing.retail,
+      currency: item.currency,
+      lineTotal: roundMoney(unitPrice * quantity),
+      availability: {
+        inStock: item.availability.inStock,
+        quantity: item.availability.quantity,
+        leadTime: item.availability.leadTime
+      },
+      flags
+    };
+  });
+
+  const byCategory = new Map();
+  const byCurrency = new Map();
+  lines.filter(line => line.currency).forEach(line => {
+    const categoryKey = `${line.category}:${line.currency}`;
+    const category = byCategory.get(categoryKey) || { category: line.category, currency: line.currency, quantity: 0, total: 0 };
+    category.quantity += line.quantity;
+    category.total = roundMoney(category.total + line.lineTotal);
+    byCategory.set(categoryKey, category);
+
+    const currency = byCurrency.get(line.currency) || { currency: line.currency, quantity: 0, total: 0 };
+    currency.quantity += line.quantity;
+    currency.total = roundMoney(currency.total + line.lineTotal);
+    byCurrency.set(line.currency, currency);
+  });
+
+  const leadTimes = lines.map(line => line.availability && line.availability.leadTime).filter(Number.isFinite);
+
+  return {
+    lines,
+    totals: {
+      byCategory: [...byCategory.values()].sort((a, b) => a.category.localeCompare(b.category) || a.currency.localeCompare(b.currency)),
+      byCurrency: [...byCurrency.values()].sort((a, b) => a.currency.localeCompare(b.currency)),
+      itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+      longestLeadTime: leadTimes.length > 0 ? Math.max(...leadTimes) : null
+    },
+    flaggedLines: lines.filter(line => line.flags.length > 0).length,
+    unlinkedItems
+  };
+};
+
+const CSV_COLUMNS = [
+  ['furnitureId', 'Furniture ID'],
+  ['name', 'Name'],
+  ['brand', 'Brand'],
+  ['model', 'Model'],
+  ['category', 'Category'],
+  ['quantity', 'Quantity'],
+  ['unitPrice', 'Unit Price'],
+  ['retailPrice', 'Retail Price'],
+  ['currency', 'Currency'],
+  ['lineTotal', 'Line Total'],
+  ['inStock', 'In Stock'],
+  ['stockQuantity', 'Stock Quantity'],
+  ['leadTime', 'Lead Time (days)'],
+  ['flags', 'Flags']
+];
+
+// One row per line followed by category and currency totals
+const billOfMaterialsToCsv = (bill) => {
+  const rows = bill.lines.map(line => ({
+    ...line,
+    inStock: line.availability ? line.availability.inStock : null,
+    stockQuantity: line.availability ? line.availability.quantity : null,
+    leadTime: line.availability ? line.availability.leadTime : null,
+    flags: line.flags.join(' ')
+  }));
+  const totals = [
+    ...bill.totals.byCategory.map(total => ({
+      name: `Total: ${total.category}`,
+      category: total.category,
+      quantity: total.quantity,
+      currency: total.currency,
+      lineTotal: total.total
+    })),
+    ...bill.totals.byCurrency.map(total => ({
+      name: 'Total',
+      quantity: total.quantity,
+      currency: total.currency,
+      lineTotal: total.total
+    }))
+  ];
+  // Names come from vendor catalogs; keep spreadsheets from running them
+  return toCsv(CSV_COLUMNS, [...rows, ...totals], { formulaSafe: true });
+};
+
+module.exports = {
+  buildBillOfMaterials,
+  billOfMaterialsToCsv
+};
@@ -0,0 +1,155 @@
+// Flat columns used by the furniture import and export. Headers are the
+// dotted Furniture paths; list columns hold `;`-separated values.
+//
+//   colors: `Name:#RRGGBB` entries, the default one marked with a
+//           trailing `*` (e.g. `Charcoal:#36454F*;Navy:#1E3A8A`)
+//   images: URLs, the first one is the primary image
+const CATALOG_COLUMNS = [
+  { path: 'brand', type: 'string' },
+  { path: 'model', type: 'string' },
+  { path: 'name', type: 'string' },
+  { path: 'description', type: 'string' },
+  { path: 'category', type: 'string' },
+  { path: 'subcategory', type: 'string' },
+  { path: 'type', type: 'string' },
+  { path: 'currency', type: 'string' },
+  { path: 'price', type: 'number' },
+  { path: 'pricing.retail', type: 'number' },
+  { path: 'pricing.wholesale', type: 'number' },
+  { path: 'pricing.sale', type: 'number' },
+  { path: 'pricing.saleStart', type: 'date' },
+  { path: 'pricing.saleEnd', type: 'date' },
+  { path: 'dimensions.width', type: 'number' },
+  { path: 'dimensions.height', type: 'number' },
+  { path: 'dimensions.depth', type: 'number' },
+  { path: 'dimensions.unit', type: 'string' },
+  { path: 'weight.value', type: 'number' },
+  { path: 'weight.unit', type: 'string' },
+  { path: 'availability.inStock', type: 'boolean' },
+  { path: 'availability.quantity', type: 'number' },
+  { path: 'availability.leadTime', type: 'number' },
+  { path: 'materials', type: 'list' },
+  { path: 'features', type: 'list' },
+  { path: 'tags', type: 'list' },
+  { path: 'colors', type: 'colors' },
+  { path: 'images', type: 'images' },
+  { path: 'model3D.url', type: 'string' },
+  { path: 'model3D.format', type: 'string' },
+  { path: 'isPremium', type: 'boolean' },
+  { path: 'isActive', type: 'boolean' }
+];
+
+const CSV_COLUMNS = CATALOG_COLUMNS.map(({ path }) => [path, path]);
+const KNOWN_PATHS = new Set(CATALOG_COLUMNS.map(({ path }) => path));
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value).split(';'))
+  .map(item => (typeof item === 'string' ? item.trim() : item))
+  .filter(item => !isBlank(item));
+
+// Parse one cell into its Furniture value; throws with a message for the report
+const parsers = {
+  string: (value) => String(value).trim(),
+  number: (value) => {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(number)) throw new Error('Must be a number');
+    return number;
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(text)) return true;
+    if (['false', 'no', '0'].includes(text)) return false;
+    throw new Error('Must be true or false');
+  },
+  date: (value) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error('Must be a date');
+    return date;
+  },
+  list: (value) => splitList(value).map(String),
+  colors: (value) => splitList(value).map(entry => {
+    if (typeof entry === 'object') return entry;
+    const match = entry.match(/^(.+):\s*(#[0-9A-F]{6})(\*)?$/i);
+    if (!match) throw new Error(`Invalid color "${entry}" (expected Name:#RRGGBB)`);
+    return { name: match[1].trim(), hex: match[2], isDefault: Boolean(match[3]) };
+  }),
+  images: (value) => splitList(value).map((entry, index) => (typeof entry === 'object'
+    ? entry
+    : { url: entry, isPrimary: index === 0, order: index }))
+};
+
+const formatters = {
+  date: (value) => (value ? new Date(value).toISOString() : ''),
+  list: (value) => (value || []).join(';'),
+  colors: (value) => (value || []).map(color => `${color.name}:${color.hex}${color.isDefault ? '*' : ''}`).join(';'),
+  images: (value) => [...(value || [])]
+    .sort((a, b) => (b.isPrimary - a.isPrimary) || (a.order - b.order))
+    .map(image => image.url)
+    .join(';')
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (node[key] === undefined) node[key] = {};
+    return node[key];
+  }, object);
+  parent[last] = value;
+};
+
+// Nested JSON objects are accepted as well as flat dotted keys
+const flattenRow = (row, prefix = '', out = {}) => {
+  Object.entries(row).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !KNOWN_PATHS.has(path)) {
+      flattenRow(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+  return out;
+};
+
+// Map an import row to Furniture fields. Blank cells are skipped, so an
+// update only touches the columns that were filled in. Returns
+// { data, errors } with errors in express-validator shape.
+const rowToFurniture = (row) => {
+  const flat = flattenRow(row);
+  const data = {};
+  const errors = [];
+
+  Object.keys(flat).filter(path => !KNOWN_PATHS.has(path)).forEach(path => {
+    errors.push({ type: 'field', location: 'body', path, msg: 'Unknown column', value: flat[path] });
+  });
+
+  CATALOG_COLUMNS.forEach(({ path, type }) => {
+    const value = flat[path];
+    if (isBlank(value)) return;
+    try {
+      setPath(data, path, parsers[type](value));
+    } catch (error) {
+      errors.push({ type: 'field', location: 'body', path, msg: error.message, value });
+    }
+  });
+
+  return { data, errors };
+};
+
+// Flat export row for a Furniture document, using the import columns
+const furnitureToRow = (furniture) => CATALOG_COLUMNS.reduce((row, { path, type }) => {
+  const value = getPath(furniture, path);
+  row[path] = formatters[type] ? formatters[type](value) : (value ?? '');
+  return row;
+}, {});
+
+module.exports = {
+  CATALOG_COLUMNS,
+  CSV_COLUMNS,
+  rowToFurniture,
+  furnitureToRow
+};
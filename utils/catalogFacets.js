@@ -0,0 +1,137 @@
+// Faceted catalog search. Filters on a facet field (category, brand, ...)
+// narrow the results and every other facet, but not the facet itself, so
+// the sidebar keeps showing the alternatives with their counts.
+
+const { anyOf } = require('./regex');
+
+// Prices are compared as `priceInCurrency`, the retail price converted to
+// the requested currency, which the pipeline adds to every document.
+
+// Upper bounds of the price buckets (priceInCurrency); the last bucket is open
+const PRICE_BOUNDARIES = [0, 100, 250, 500, 1000, 2500, 5000];
+
+// Count documents per value of `field` (unwinding arrays first)
+const countBy = (field, { unwind = null } = {}) => [
+  ...(unwind ? [{ $unwind: `$${unwind}` }] : []),
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+// Facets: `filter` turns the request value into a $match condition (or
+// null when unset) and `stages` count the matching documents
+const FACETS = {
+  category: {
+    filter: ({ category }) => (category.length > 0 ? { category: { $in: category } } : null),
+    stages: countBy('category')
+  },
+  subcategory: {
+    filter: ({ subcategory }) => (subcategory.length > 0 ? { subcategory: anyOf(subcategory) } : null),
+    stages: countBy('subcategory')
+  },
+  brand: {
+    filter: ({ brand }) => (brand.length > 0 ? { brand: anyOf(brand) } : null),
+    stages: countBy('brand')
+  },
+  material: {
+    filter: ({ materials }) => (materials.length > 0 ? { materials: anyOf(materials) } : null),
+    stages: countBy('materials', { unwind: 'materials' })
+  },
+  color: {
+    filter: ({ colors }) => (colors.length > 0 ? { 'colors.hex': anyOf(colors) } : null),
+    stages: [
+      { $unwind: '$colors' },
+      { $group: { _id: { $toUpper: '$colors.hex' }, name: { $first: '$colors.name' }, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]
+  },
+  price: {
+    filter: ({ minPrice, maxPrice }) => {
+      if (minPrice === undefined && maxPrice === undefined) return null;
+      const range = {};
+      if (minPrice !== undefined) range.$gte = minPrice;
+      if (maxPrice !== undefined) range.$lte = maxPrice;
+      return { priceInCurrency: range };
+    },
+    stages: [
+      {
+        $bucket: {
+          groupBy: '$priceInCurrency',
+          boundaries: [...PRICE_BOUNDARIES, Number.MAX_VALUE],
+          default: 'other',
+          output: {
+            count: { $sum: 1 },
+            min: { $min: '$priceInCurrency' },
+            max: { $max: '$priceInCurrency' }
+          }
+        }
+      }
+    ]
+  },
+  inStock: {
+    filter: ({ inStock }) => (inStock !== undefined ? { 'availability.inStock': inStock } : null),
+    stages: [
+      { $group: { _id: '$availability.inStock', count: { $sum: 1 } } },
+      { $sort: { _id: -1 } }
+    ]
+  }
+};
+
+// Single aggregation returning one page of results, the total and every
+// facet. `base` holds the non-facet conditions (active, text search, ...)
+// and must come first, since $text is only allowed in the first stage.
+// `price` is the expression computing priceInCurrency.
+const buildCatalogPipeline = ({ base, selected, search = false, price = '$pricing.retail', sort, skip, limit }) => {
+  const conditions = Object.fromEntries(Object.entries(FACETS)
+    .map(([name, facet]) => [name, facet.filter(selected)])
+    .filter(([, condition]) => condition));
+  const matchExcept = (excluded) => ({
+    $match: Object.entries(conditions).reduce((match, [name, condition]) => (name === excluded
+      ? match
+      : { ...match, $and: [...(match.$and || []), condition] }), {})
+  });
+  const matchAll = matchExcept(null);
+
+  return [
+    { $match: base },
+    { $addFields: { ...(search ? { score: { $meta: 'textScore' } } : {}), priceInCurrency: price } },
+    {
+      $facet: {
+        results: [matchAll, { $sort: sort }, { $skip: skip }, { $limit: limit }],
+        total: [matchAll, { $count: 'count' }],
+        ...Object.fromEntries(Object.entries(FACETS).map(([name, facet]) => [name, [matchExcept(name), ...facet.stages]]))
+      }
+    }
+  ];
+};
+
+// Shape the $facet output: [{ value, count }] per facet, price buckets as
+// { min, max, count } with `max` null on the open bucket
+const formatCatalogFacets = (output) => {
+  const values = (rows) => rows.map(({ _id, count }) => ({ value: _id, count }));
+  const priceBuckets = PRICE_BOUNDARIES.map((min, index) => {
+    const row = output.price.find(bucket => bucket._id === min);
+    return { min, max: PRICE_BOUNDARIES[index + 1] ?? null, count: row ? row.count : 0 };
+  });
+  const priced = output.price.filter(bucket => bucket._id !== 'other');
+
+  return {
+    category: values(output.category),
+    subcategory: values(output.subcategory),
+    brand: values(output.brand),
+    material: values(output.material),
+    color: output.color.map(({ _id, name, count }) => ({ value: _id, name, count })),
+    price: {
+      min: priced.length > 0 ? Math.min(...priced.map(bucket => bucket.min)) : null,
+      max: priced.length > 0 ? Math.max(...priced.map(bucket => bucket.max)) : null,
+      buckets: priceBuckets
+    },
+    inStock: values(output.inStock)
+  };
+};
+
+module.exports = {
+  PRICE_BOUNDARIES,
+  buildCatalogPipeline,
+  formatCatalogFacets
+};
@@ -0,0 +1,135 @@
+// Color conversions and perceptual distance (CIEDE2000 on CIELAB, D65)
+
+const hexToRgb = (hex) => {
+  const value = parseInt(String(hex).replace('#', ''), 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+};
+
+const toLinear = (channel) => {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+
+// sRGB hex to CIELAB { L, a, b }
+const hexToLab = (hex) => {
+  const { r, g, b } = hexToRgb(hex);
+  const [lr, lg, lb] = [r, g, b].map(toLinear);
+  const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+  const y = lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750;
+  const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  return {
+    L: 116 * f(y) - 16,
+    a: 500 * (f(x) - f(y)),
+    b: 200 * (f(y) - f(z))
+  };
+};
+
+const fromLinear = (channel) => {
+  const c = channel <= 0.0031308 ? channel * 12.92 : 1.055 * Math.pow(channel, 1 / 2.4) - 0.055;
+  return Math.round(Math.min(Math.max(c, 0), 1) * 255);
+};
+
+// CIELAB back to sRGB hex; colors outside sRGB are clipped
+const labToHex = ({ L, a, b }) => {
+  const fy = (L + 16) / 116;
+  const finv = (t) => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27));
+  const x = finv(fy + a / 500) * 0.95047;
+  const y = finv(fy);
+  const z = finv(fy - b / 200) * 1.08883;
+  const rgb = [
+    x * 3.2404542 - y * 1.5371385 - z * 0.4985314,
+    -x * 0.9692660 + y * 1.8760108 + z * 0.0415560,
+    x * 0.0556434 - y * 0.2040259 + z * 1.0572252
+  ].map(fromLinear);
+  return `#${rgb.map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+};
+
+const degrees = (radians) => (radians * 180) / Math.PI;
+const radians = (deg) => (deg * Math.PI) / 180;
+
+const chroma = (lab) => Math.hypot(lab.a, lab.b);
+
+// Same lightness and chroma, hue turned by `angle` degrees
+const rotateHue = (lab, angle) => {
+  const C = chroma(lab);
+  const h = Math.atan2(lab.b, lab.a) + radians(angle);
+  return { L: lab.L, a: C * Math.cos(h), b: C * Math.sin(h) };
+};
+
+// CIEDE2000 color difference between two Lab colors. Around 1 is barely
+// visible; above about 10 colors read as different.
+const deltaE2000 = (lab1, lab2) => {
+  const C1 = Math.hypot(lab1.a, lab1.b);
+  const C2 = Math.hypot(lab2.a, lab2.b);
+  const meanC = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Math.pow(meanC, 7) / (Math.pow(meanC, 7) + Math.pow(25, 7))));
+  const a1 = lab1.a * (1 + G);
+  const a2 = lab2.a * (1 + G);
+  const c1 = Math.hypot(a1, lab1.b);
+  const c2 = Math.hypot(a2, lab2.b);
+  const hue = (a, b) => (a === 0 && b === 0 ? 0 : (degrees(Math.atan2(b, a)) + 360) % 360);
+  const h1 = hue(a1, lab1.b);
+  const h2 = hue(a2, lab2.b);
+
+  const dL = lab2.L - lab1.L;
+  const dC = c2 - c1;
+  let dh = 0;
+  if (c1 * c2 !== 0) {
+    dh = h2 - h1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(c1 * c2) * Math.sin(radians(dh / 2));
+
+  const meanL = (lab1.L + lab2.L) / 2;
+  const meanc = (c1 + c2) / 2;
+  let meanH = h1 + h2;
+  if (c1 * c2 !== 0) {
+    if (Math.abs(h1 - h2) <= 180) meanH = (h1 + h2) / 2;
+    else meanH = h1 + h2 < 360 ? (h1 + h2 + 360) / 2 : (h1 + h2 - 360) / 2;
+  }
+
+  const T = 1 -
+    0.17 * Math.cos(radians(meanH - 30)) +
+    0.24 * Math.cos(radians(2 * meanH)) +
+    0.32 * Math.cos(radians(3 * meanH + 6)) -
+    0.20 * Math.cos(radians(4 * meanH - 63));
+  const dTheta = 30 * Math.exp(-Math.pow((meanH - 275) / 25, 2));
+  const RC = 2 * Math.sqrt(Math.pow(meanc, 7) / (Math.pow(meanc, 7) + Math.pow(25, 7)));
+  const SL = 1 + (0.015 * Math.pow(meanL - 50, 2)) / Math.sqrt(20 + Math.pow(meanL - 50, 2));
+  const SC = 1 + 0.045 * meanc;
+  const SH = 1 + 0.015 * meanc * T;
+  const RT = -Math.sin(radians(2 * dTheta)) * RC;
+
+  return Math.sqrt(
+    Math.pow(dL / SL, 2) +
+    Math.pow(dC / SC, 2) +
+    Math.pow(dH / SH, 2) +
+    RT * (dC / SC) * (dH / SH)
+  );
+};
+
+// Largest lightness difference two colors within `distance` can have
+// (the lightness weighting SL peaks at about 1.75 for black and white)
+const maxLightnessDelta = (distance) => distance * 1.75;
+
+// Mean distance from each color of one palette to its closest color in
+// the other, averaged both ways (0 for identical palettes)
+const paletteDistance = (labs1, labs2) => {
+  if (labs1.length === 0 || labs2.length === 0) return null;
+  const nearest = (from, to) => from.reduce((sum, lab) =>
+    sum + Math.min(...to.map(other => deltaE2000(lab, other))), 0) / from.length;
+  return (nearest(labs1, labs2) + nearest(labs2, labs1)) / 2;
+};
+
+module.exports = {
+  hexToRgb,
+  hexToLab,
+  labToHex,
+  chroma,
+  rotateHue,
+  deltaE2000,
+  maxLightnessDelta,
+  paletteDistance
+};
@@ -0,0 +1,67 @@
+// Color search over Furniture.colors[].lab. `match` finds items with a
+// color variant close to the requested one; `harmonize` finds items with
+// a variant close to its complementary or analogous hues (same lightness
+// and chroma, hue turned). Distances are CIEDE2000.
+const { hexToLab, labToHex, chroma, rotateHue, deltaE2000, maxLightnessDelta } = require('./color');
+
+// Hue turns, in degrees, giving the colors that go with a given one
+const HARMONIES = {
+  complementary: [180],
+  analogous: [-30, 30]
+};
+// Below this chroma a color is close to gray and has no hue to turn
+const MIN_HARMONY_CHROMA = 10;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Colors to look for: [{ harmony, lab, hex }]
+const colorTargets = (hex, mode = 'match') => {
+  const lab = hexToLab(hex);
+  if (mode !== 'harmonize') {
+    return [{ harmony: 'match', lab, hex: hex.toUpperCase() }];
+  }
+  return Object.entries(HARMONIES).flatMap(([harmony, angles]) => angles.map(angle => {
+    const target = rotateHue(lab, angle);
+    return { harmony, lab: target, hex: labToHex(target) };
+  }));
+};
+
+const canHarmonize = (hex) => chroma(hexToLab(hex)) >= MIN_HARMONY_CHROMA;
+
+// $match narrowing the search to items with a variant of about the right
+// lightness. CIEDE2000 has no index, so the exact distance is checked
+// afterwards by `bestColorMatch`.
+const buildColorMatch = (targets, tolerance) => {
+  const lightness = targets.map(target => target.lab.L);
+  const delta = maxLightnessDelta(tolerance);
+  return {
+    colors: {
+      $elemMatch: { 'lab.L': { $gte: Math.min(...lightness) - delta, $lte: Math.max(...lightness) + delta } }
+    }
+  };
+};
+
+// The item's color variant closest to any target, as
+// { name, hex, distance, harmony, target }, or null if none is within
+// `tolerance`
+const bestColorMatch = (item, targets, tolerance) => {
+  let best = null;
+  (item.colors || []).forEach(color => {
+    const lab = color.lab && color.lab.L !== undefined ? color.lab : hexToLab(color.hex);
+    targets.forEach(target => {
+      const distance = deltaE2000(lab, target.lab);
+      if (distance <= tolerance && (!best || distance < best.distance)) {
+        best = { name: color.name, hex: color.hex, distance: round(distance), harmony: target.harmony, target: target.hex };
+      }
+    });
+  });
+  return best;
+};
+
+module.exports = {
+  HARMONIES,
+  colorTargets,
+  canHarmonize,
+  buildColorMatch,
+  bestColorMatch
+};
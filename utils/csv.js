@@ -0,0 +1,92 @@
+// Text cells starting with one of these run as formulas in spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a value per RFC 4180 when it contains a delimiter, quote or newline.
+// With `formulaSafe`, text that a spreadsheet would run as a formula gets a
+// leading `'` (numbers and dates are left alone).
+const escapeCsvValue = (value, { formulaSafe = false } = {}) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (formulaSafe && typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo the formulaSafe prefix of escapeCsvValue
+const unescapeFormula = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+// One CSV line (with CRLF) for a row object; `columns` is a list of
+// [key, header] pairs. Options are passed on to escapeCsvValue.
+const toCsvRow = (columns, row, options) => `${columns.map(([key]) => escapeCsvValue(row[key], options)).join(',')}\r\n`;
+
+const toCsvHeader = (columns) => `${columns.map(([, header]) => escapeCsvValue(header)).join(',')}\r\n`;
+
+// Build a CSV document from rows of objects; options as for toCsvRow
+const toCsv = (columns, rows, options) => toCsvHeader(columns) + rows.map(row => toCsvRow(columns, row, options)).join('');
+
+// Parse RFC 4180 CSV into arrays of fields. Accepts CRLF or LF line ends,
+// quoted fields with embedded delimiters/newlines, and a leading BOM.
+const parseCsvRecords = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  // Blank lines carry no data
+  return records.filter(fields => fields.length > 1 || fields[0] !== '');
+};
+
+// Parse CSV with a header line into objects keyed by header. With
+// `formulaSafe`, cells written by escapeCsvValue's formulaSafe option get
+// their leading `'` back off.
+const parseCsv = (text, { formulaSafe = false } = {}) => {
+  const [header = [], ...records] = parseCsvRecords(text);
+  const keys = header.map(key => key.trim());
+  return records.map(fields => keys.reduce((row, key, i) => {
+    const field = fields[i] !== undefined ? fields[i] : '';
+    if (key) row[key] = formulaSafe ? unescapeFormula(field) : field;
+    return row;
+  }, {}));
+};
+
+module.exports = {
+  escapeCsvValue,
+  unescapeFormula,
+  toCsvHeader,
+  toCsvRow,
+  toCsv,
+  parseCsv
+};
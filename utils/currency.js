@@ -0,0 +1,79 @@
+// Currency conversion with an exchange-rate table ({ USD: 1, EUR: 0.92, ... },
+// units of each currency per one unit of the base currency). Amounts whose
+// currency has no rate convert to null rather than a wrong number.
+
+const BASE_CURRENCY = 'USD';
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Multiplier taking an amount from `from` to `to`, or null without rates
+const conversionFactor = (rates, from = BASE_CURRENCY, to = BASE_CURRENCY) => {
+  if ((from || BASE_CURRENCY) === to) return 1;
+  const source = rates[from || BASE_CURRENCY];
+  const target = rates[to];
+  return source && target ? target / source : null;
+};
+
+const convertAmount = (amount, from, to, rates) => {
+  if (amount === null || amount === undefined) return null;
+  const factor = conversionFactor(rates, from, to);
+  return factor === null ? null : roundMoney(amount * factor);
+};
+
+// An item's prices in `currency`: { currency, retail, sale, currentPrice }.
+// The sale price only counts while the sale runs, as in Furniture.currentPrice.
+const convertPricing = (item, currency, rates, now = new Date()) => {
+  const { retail, sale, saleStart, saleEnd } = item.pricing || {};
+  const onSale = Boolean(sale) && saleStart <= now && saleEnd >= now;
+  const convert = (amount) => convertAmount(amount, item.currency, currency, rates);
+  return {
+    currency,
+    retail: convert(retail),
+    sale: onSale ? convert(sale) : null,
+    currentPrice: convert(onSale ? sale : retail)
+  };
+};
+
+// Sum of per-currency totals ([{ currency, total }]) in `currency`. `complete`
+// is false when some total had no rate and was left out.
+const convertTotals = (totals, currency, rates) => {
+  const converted = totals.map(({ currency: from, total }) => convertAmount(total, from, currency, rates));
+  return {
+    currency,
+    total: roundMoney(converted.reduce((sum, amount) => sum + (amount || 0), 0)),
+    complete: converted.every(amount => amount !== null)
+  };
+};
+
+// Aggregation expression converting the amount at `field` (priced in the
+// document's `currency`) to `currency`; null where there is no rate
+const convertedAmountExpression = (field, currency, rates) => ({
+  $round: [
+    {
+      $multiply: [
+        `$${field}`,
+        {
+          $switch: {
+            branches: CURRENCIES.map(from => ({
+              case: { $eq: [{ $ifNull: ['$currency', BASE_CURRENCY] }, from] },
+              then: conversionFactor(rates, from, currency)
+            })),
+            default: null
+          }
+        }
+      ]
+    },
+    2
+  ]
+});
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  conversionFactor,
+  convertAmount,
+  convertPricing,
+  convertTotals,
+  convertedAmountExpression
+};
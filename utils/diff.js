@@ -0,0 +1,38 @@
+// Only object literals are descended into; ObjectIds, dates, arrays and
+// primitives are compared whole
+const isLeaf = (value) =>
+  value === null || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype;
+
+// Flatten nested objects into dotted paths
+const flatten = (value, prefix = '', out = {}) => {
+  Object.keys(value).forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const child = value[key];
+    if (isLeaf(child)) {
+      out[path] = child;
+    } else {
+      flatten(child, path, out);
+    }
+  });
+  return out;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Leaf paths that differ between two plain objects, as { path, from, to }.
+// `ignore` lists path prefixes to skip (timestamps, version keys, ...).
+const diffObjects = (before, after, ignore = []) => {
+  const from = flatten(before || {});
+  const to = flatten(after || {});
+  const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(path => !ignore.some(prefix => path === prefix || path.startsWith(`${prefix}.`)))
+    .sort();
+
+  return paths
+    .filter(path => !sameValue(from[path], to[path]))
+    .map(path => ({ path, from: from[path] ?? null, to: to[path] ?? null }));
+};
+
+module.exports = {
+  diffObjects
+};
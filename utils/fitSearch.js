@@ -0,0 +1,56 @@
+// "Will it fit" search over Furniture.dimensionsCm. The space is given as
+// maximum width, depth and/or height in cm; unset limits are ignored.
+// Clearance is kept on both sides of the width and depth and above the
+// item. With `rotate`, an item may also be turned 90° so its depth runs
+// along the space's width.
+
+const ORIENTATIONS = {
+  upright: { width: 'width', depth: 'depth' },
+  rotated: { width: 'depth', depth: 'width' }
+};
+
+// Room left for the item once clearance is taken off
+const availableSpace = ({ width, depth, height }, clearance = 0) => ({
+  width: width !== undefined ? width - 2 * clearance : undefined,
+  depth: depth !== undefined ? depth - 2 * clearance : undefined,
+  height: height !== undefined ? height - clearance : undefined
+});
+
+// [space axis, item field] pairs constrained by the space in an orientation
+const constraints = (space, orientation) => ['width', 'depth', 'height']
+  .filter(axis => space[axis] !== undefined)
+  .map(axis => [axis, axis === 'height' ? 'height' : ORIENTATIONS[orientation][axis]]);
+
+// $match finding items that fit upright (or turned, when allowed)
+const buildFitMatch = (space, rotate) => {
+  const orientationMatch = (orientation) => Object.fromEntries(constraints(space, orientation)
+    .map(([axis, field]) => [`dimensionsCm.${field}`, { $lte: space[axis] }]));
+  return rotate
+    ? { $or: [orientationMatch('upright'), orientationMatch('rotated')] }
+    : orientationMatch('upright');
+};
+
+// $addFields computing `fitUsage`, the share of the space the item fills
+// (product of each constrained dimension's ratio) in its best fitting
+// orientation, and `fitRotated`
+const buildFitFields = (space, rotate) => {
+  const usage = (orientation) => {
+    const pairs = constraints(space, orientation);
+    const fits = { $and: pairs.map(([axis, field]) => ({ $lte: [`$dimensionsCm.${field}`, space[axis]] })) };
+    const ratio = { $multiply: pairs.map(([axis, field]) => ({ $divide: [`$dimensionsCm.${field}`, space[axis]] })) };
+    return { $cond: [fits, ratio, -1] };
+  };
+  if (!rotate) {
+    return { fitUsage: usage('upright'), fitRotated: false };
+  }
+  return {
+    fitUsage: { $max: [usage('upright'), usage('rotated')] },
+    fitRotated: { $gt: [usage('rotated'), usage('upright')] }
+  };
+};
+
+module.exports = {
+  availableSpace,
+  buildFitMatch,
+  buildFitFields
+};
@@ -0,0 +1,339 @@
+const { formatLength, formatArea } = require('./units');
+const { getWallSegments, getFurnitureFootprint } = require('./scene');
+
+// Drawing styles; sizes are in plan meters and scale with the drawing
+const STYLES = {
+  room: { fill: '#f5f5f4', stroke: 'none', strokeWidth: 0 },
+  wall: { fill: '#374151', stroke: '#111827', strokeWidth: 0.01 },
+  window: { fill: '#ffffff', stroke: '#1d4ed8', strokeWidth: 0.015 },
+  windowPane: { stroke: '#1d4ed8', strokeWidth: 0.01 },
+  furniture: { fill: '#e5e7eb', stroke: '#6b7280', strokeWidth: 0.01 },
+  dimension: { stroke: '#b91c1c', strokeWidth: 0.008 },
+  roomLabel: { fill: '#111827', fontSize: 0.22 },
+  areaLabel: { fill: '#374151', fontSize: 0.16 },
+  dimensionLabel: { fill: '#b91c1c', fontSize: 0.13 },
+  furnitureLabel: { fill: '#374151', fontSize: 0.1 }
+};
+
+const DIMENSION_GAP = 0.45; // meters between a wall face and its dimension line
+const OVERALL_GAP = 1.1; // meters between the plan and the overall dimensions
+const TICK_SIZE = 0.08;
+const MARGIN = 0.4;
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y });
+const mul = (a, s) => ({ x: a.x * s, y: a.y * s });
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+const length = (a) => Math.hypot(a.x, a.y);
+const pointKey = (p) => `${Math.round(p.x * 1000)},${Math.round(p.y * 1000)}`;
+
+// Keep text upright: angles in (-90, 90] degrees
+const readableAngle = (direction) => {
+  let angle = (Math.atan2(direction.y, direction.x) * 180) / Math.PI;
+  if (angle > 90) angle -= 180;
+  if (angle <= -90) angle += 180;
+  return angle;
+};
+
+const polygonArea = (points) => Math.abs(points.reduce((sum, p, i) => {
+  const q = points[(i + 1) % points.length];
+  return sum + (p.x * q.y - q.x * p.y);
+}, 0)) / 2;
+
+const polygonCentroid = (points) => {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    const cross = p.x * q.y - q.x * p.y;
+    area += cross;
+    cx += (p.x + q.x) * cross;
+    cy += (p.y + q.y) * cross;
+  });
+  if (Math.abs(area) < 1e-9) {
+    return mul(points.reduce(add, { x: 0, y: 0 }), 1 / points.length);
+  }
+  return { x: cx / (3 * area), y: cy / (3 * area) };
+};
+
+// Closed rooms: 'room' walls, plus chains of plain walls that close on themselves
+const findRooms = (walls) => {
+  const polygons = walls
+    .filter(wall => wall.type === 'room' && wall.points.length > 2)
+    .map(wall => ({ name: wall.name || wall.label, points: wall.points }));
+
+  const segments = walls.filter(wall => wall.type !== 'room').flatMap(getWallSegments);
+  const byPoint = new Map();
+  segments.forEach((segment, index) => {
+    segment.forEach(point => {
+      const key = pointKey(point);
+      if (!byPoint.has(key)) byPoint.set(key, []);
+      byPoint.get(key).push(index);
+    });
+  });
+
+  const used = new Set();
+  segments.forEach((segment, index) => {
+    if (used.has(index)) return;
+    used.add(index);
+    const startKey = pointKey(segment[0]);
+    const points = [segment[0]];
+    let current = segment[1];
+
+    while (pointKey(current) !== startKey) {
+      points.push(current);
+      const next = (byPoint.get(pointKey(current)) || []).find(candidate => !used.has(candidate));
+      if (next === undefined) return;
+      used.add(next);
+      const [a, b] = segments[next];
+      current = pointKey(a) === pointKey(current) ? b : a;
+    }
+    if (points.length > 2) polygons.push({ points });
+  });
+
+  return polygons.map((room, index) => ({
+    name: room.name || `Room ${index + 1}`,
+    points: room.points,
+    area: polygonArea(room.points),
+    centroid: polygonCentroid(room.points)
+  }));
+};
+
+// Rectangle around a centerline from `from` to `to`, `halfWidth` either side
+const bandPolygon = (from, to, halfWidth) => {
+  const direction = mul(sub(to, from), 1 / length(sub(to, from)));
+  const normal = { x: -direction.y, y: direction.x };
+  return [
+    add(from, mul(normal, halfWidth)),
+    add(to, mul(normal, halfWidth)),
+    sub(to, mul(normal, halfWidth)),
+    sub(from, mul(normal, halfWidth))
+  ];
+};
+
+// Dimension line parallel to from->to, pushed `offset` along `normal`
+const dimensionPrimitives = (from, to, normal, offset, label, startOffset = 0) => {
+  const direction = mul(sub(to, from), 1 / length(sub(to, from)));
+  const a = add(from, mul(normal, offset));
+  const b = add(to, mul(normal, offset));
+  const tick = mul(add(direction, normal), TICK_SIZE / Math.SQRT2);
+  return [
+    { type: 'line', from: add(from, mul(normal, startOffset)), to: add(a, mul(normal, TICK_SIZE)), style: 'dimension' },
+    { type: 'line', from: add(to, mul(normal, startOffset)), to: add(b, mul(normal, TICK_SIZE)), style: 'dimension' },
+    { type: 'line', from: a, to: b, style: 'dimension' },
+    { type: 'line', from: sub(a, tick), to: add(a, tick), style: 'dimension' },
+    { type: 'line', from: sub(b, tick), to: add(b, tick), style: 'dimension' },
+    {
+      type: 'text',
+      at: add(mul(add(a, b), 0.5), mul(normal, STYLES.dimensionLabel.fontSize * 0.8)),
+      text: label,
+      angle: readableAngle(direction),
+      style: 'dimensionLabel'
+    }
+  ];
+};
+
+const boundsOf = (points) => points.reduce((bounds, p) => ({
+  minX: Math.min(bounds.minX, p.x),
+  minY: Math.min(bounds.minY, p.y),
+  maxX: Math.max(bounds.maxX, p.x),
+  maxY: Math.max(bounds.maxY, p.y)
+}), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+// Turn a scene into drawing primitives plus the schedules printed alongside
+// the plan. `units` is a User.preferences.units value; `annotate: false`
+// leaves out dimensions and labels (for thumbnails).
+const buildFloorPlan = ({ sceneData, furnitureById = new Map(), units = 'metric', annotate = true }) => {
+  const walls = (Array.isArray(sceneData.walls) ? sceneData.walls : [])
+    .filter(wall => Array.isArray(wall.points) && wall.points.length > 1);
+  const windows = Array.isArray(sceneData.windows) ? sceneData.windows : [];
+  const furniture = Array.isArray(sceneData.furniture) ? sceneData.furniture : [];
+
+  const rooms = findRooms(walls);
+  const wallPoints = walls.flatMap(wall => wall.points);
+  const planBounds = wallPoints.length > 0 ? boundsOf(wallPoints) : { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+  const planCenter = { x: (planBounds.minX + planBounds.maxX) / 2, y: (planBounds.minY + planBounds.maxY) / 2 };
+
+  // Segment ends shared with another segment are extended so corners close
+  const pointUse = new Map();
+  walls.flatMap(getWallSegments).forEach(segment => segment.forEach(point => {
+    pointUse.set(pointKey(point), (pointUse.get(pointKey(point)) || 0) + 1);
+  }));
+
+  const roomShapes = rooms.map(room => ({ type: 'polygon', points: room.points, style: 'room' }));
+  const wallShapes = [];
+  const windowShapes = [];
+  const dimensionShapes = [];
+  const wallSchedule = [];
+  const windowSchedule = [];
+
+  walls.forEach(wall => {
+    const halfThickness = (wall.thickness || 0.2) / 2;
+    getWallSegments(wall).forEach(([from, to], segmentIndex) => {
+      const segmentLength = length(sub(to, from));
+      if (segmentLength < 1e-6) return;
+      const direction = mul(sub(to, from), 1 / segmentLength);
+      const start = pointUse.get(pointKey(from)) > 1 ? sub(from, mul(direction, halfThickness)) : from;
+      const end = pointUse.get(pointKey(to)) > 1 ? add(to, mul(direction, halfThickness)) : to;
+      wallShapes.push({ type: 'polygon', points: bandPolygon(start, end, halfThickness), style: 'wall' });
+
+      windows
+        .filter(window => window.wallId === wall.id && window.segmentIndex === segmentIndex)
+        .forEach(window => {
+          const center = add(from, mul(direction, window.t * segmentLength));
+          const half = Math.min(window.width, segmentLength) / 2;
+          const a = sub(center, mul(direction, half));
+          const b = add(center, mul(direction, half));
+          windowShapes.push({ type: 'polygon', points: bandPolygon(a, b, halfThickness), style: 'window' });
+          windowShapes.push({ type: 'line', from: a, to: b, style: 'windowPane' });
+          windowSchedule.push({
+            id: window.id,
+            wall: wall.id,
+            width: formatLength(window.width, units),
+            height: formatLength(window.height, units),
+            sill: formatLength(window.sill, units)
+          });
+        });
+
+      // Dimension on the side facing away from the middle of the plan
+      let normal = { x: -direction.y, y: direction.x };
+      if (dot(normal, sub(mul(add(from, to), 0.5), planCenter)) < 0) normal = mul(normal, -1);
+      dimensionShapes.push(...dimensionPrimitives(
+        from, to, normal, halfThickness + DIMENSION_GAP, formatLength(segmentLength, units), halfThickness + 0.05
+      ));
+      wallSchedule.push({
+        id: wall.id,
+        segment: segmentIndex + 1,
+        length: formatLength(segmentLength, units),
+        thickness: formatLength(wall.thickness, units),
+        height: formatLength(wall.height, units)
+      });
+    });
+  });
+
+  // Overall width along the top and depth down the left side
+  if (wallPoints.length > 0) {
+    const { minX, minY, maxX, maxY } = planBounds;
+    if (maxX - minX > 1e-6) {
+      dimensionShapes.push(...dimensionPrimitives(
+        { x: minX, y: minY }, { x: maxX, y: minY }, { x: 0, y: -1 }, OVERALL_GAP, formatLength(maxX - minX, units)
+      ));
+    }
+    if (maxY - minY > 1e-6) {
+      dimensionShapes.push(...dimensionPrimitives(
+        { x: minX, y: minY }, { x: minX, y: maxY }, { x: -1, y: 0 }, OVERALL_GAP, formatLength(maxY - minY, units)
+      ));
+    }
+  }
+
+  const furnitureShapes = [];
+  const furnitureSchedule = [];
+  furniture.forEach((item, index) => {
+    const catalogItem = item.furnitureId ? furnitureById.get(item.furnitureId.toString()) : null;
+    const footprint = getFurnitureFootprint(item, catalogItem);
+    const name = (catalogItem && catalogItem.name) || item.name || `Item ${index + 1}`;
+    furnitureShapes.push({ type: 'polygon', points: footprint.corners, style: 'furniture' });
+    furnitureShapes.push({
+      type: 'text',
+      at: footprint.center,
+      text: name,
+      angle: readableAngle(sub(footprint.corners[1], footprint.corners[0])),
+      style: 'furnitureLabel'
+    });
+    furnitureSchedule.push({
+      name,
+      brand: (catalogItem && catalogItem.brand) || '',
+      width: formatLength(footprint.width, units),
+      depth: formatLength(footprint.depth, units),
+      height: formatLength(footprint.height, units)
+    });
+  });
+
+  const labelShapes = rooms.flatMap(room => [
+    { type: 'text', at: room.centroid, text: room.name, angle: 0, style: 'roomLabel' },
+    {
+      type: 'text',
+      at: add(room.centroid, { x: 0, y: STYLES.roomLabel.fontSize * 1.2 }),
+      text: formatArea(room.area, units),
+      angle: 0,
+      style: 'areaLabel'
+    }
+  ]);
+
+  // Draw order: floors, furniture, walls, windows, dimensions, labels
+  const primitives = annotate
+    ? [...roomShapes, ...furnitureShapes, ...wallShapes, ...windowShapes, ...dimensionShapes, ...labelShapes]
+    : [...roomShapes, ...furnitureShapes.filter(shape => shape.type !== 'text'), ...wallShapes, ...windowShapes];
+  const allPoints = primitives.flatMap(shape => (shape.type === 'polygon' ? shape.points
+    : shape.type === 'line' ? [shape.from, shape.to] : [shape.at]));
+  const bounds = allPoints.length > 0 ? boundsOf(allPoints) : planBounds;
+
+  return {
+    units,
+    bounds: {
+      minX: bounds.minX - MARGIN,
+      minY: bounds.minY - MARGIN,
+      maxX: bounds.maxX + MARGIN,
+      maxY: bounds.maxY + MARGIN
+    },
+    primitives,
+    totalArea: rooms.reduce((sum, room) => sum + room.area, 0),
+    schedules: {
+      rooms: rooms.map(room => ({ name: room.name, area: formatArea(room.area, units) })),
+      walls: wallSchedule,
+      windows: windowSchedule,
+      furniture: furnitureSchedule
+    }
+  };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Render a floor plan as SVG. Drawing units are meters; the width/height
+// attributes print it at 1:`scaleDenominator`, or fit it `pixelWidth`
+// pixels wide when given.
+const renderFloorPlanSvg = (plan, { title = 'Floor plan', scaleDenominator = 50, pixelWidth = null } = {}) => {
+  const { minX, minY, maxX, maxY } = plan.bounds;
+  const width = maxX - minX;
+  const height = maxY - minY;
+  const size = pixelWidth
+    ? { width: `${pixelWidth}`, height: `${round((height / width) * pixelWidth)}` }
+    : { width: `${round((width * 1000) / scaleDenominator)}mm`, height: `${round((height * 1000) / scaleDenominator)}mm` };
+
+  const elements = plan.primitives.map(shape => {
+    const style = STYLES[shape.style];
+    if (shape.type === 'polygon') {
+      const points = shape.points.map(p => `${round(p.x)},${round(p.y)}`).join(' ');
+      return `<polygon class="${shape.style}" points="${points}" fill="${style.fill}" stroke="${style.stroke}" stroke-width="${style.strokeWidth}"/>`;
+    }
+    if (shape.type === 'line') {
+      return `<line class="${shape.style}" x1="${round(shape.from.x)}" y1="${round(shape.from.y)}" x2="${round(shape.to.x)}" y2="${round(shape.to.y)}" stroke="${style.stroke}" stroke-width="${style.strokeWidth}"/>`;
+    }
+    const x = round(shape.at.x);
+    const y = round(shape.at.y);
+    const transform = shape.angle ? ` transform="rotate(${round(shape.angle)} ${x} ${y})"` : '';
+    return `<text class="${shape.style}" x="${x}" y="${y}" font-size="${style.fontSize}" fill="${style.fill}" text-anchor="middle" dominant-baseline="middle"${transform}>${escapeXml(shape.text)}</text>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${round(minX)} ${round(minY)} ${round(width)} ${round(height)}" width="${size.width}" height="${size.height}" font-family="Helvetica, Arial, sans-serif">`,
+    `<title>${escapeXml(title)}</title>`,
+    `<rect x="${round(minX)}" y="${round(minY)}" width="${round(width)}" height="${round(height)}" fill="#ffffff"/>`,
+    ...elements,
+    '</svg>'
+  ].join('\n');
+};
+
+module.exports = {
+  STYLES,
+  buildFloorPlan,
+  renderFloorPlanSvg
+};
@@ -0,0 +1,174 @@
+const PDFDocument = require('pdfkit');
+const { STYLES } = require('./floorPlan');
+
+const POINTS_PER_MM = 72 / 25.4;
+const PAGE_MARGIN = 36;
+const TITLE_BLOCK_HEIGHT = 54;
+const ROW_HEIGHT = 16;
+
+// Standard architectural scales, smallest first
+const SCALES = [10, 20, 25, 50, 100, 200, 250, 500, 1000];
+
+// Schedules printed after the plan, one table each
+const SCHEDULES = [
+  { key: 'rooms', title: 'Rooms', columns: [['name', 'Room'], ['area', 'Area']] },
+  {
+    key: 'walls',
+    title: 'Walls',
+    columns: [['id', 'Wall'], ['segment', 'Segment'], ['length', 'Length'], ['thickness', 'Thickness'], ['height', 'Height']]
+  },
+  {
+    key: 'windows',
+    title: 'Windows',
+    columns: [['id', 'Window'], ['wall', 'Wall'], ['width', 'Width'], ['height', 'Height'], ['sill', 'Sill']]
+  },
+  {
+    key: 'furniture',
+    title: 'Furniture',
+    columns: [['name', 'Item'], ['brand', 'Brand'], ['width', 'Width'], ['depth', 'Depth'], ['height', 'Height']]
+  }
+];
+
+const drawTitleBlock = (doc, { title, subtitle }) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const top = doc.page.height - PAGE_MARGIN - TITLE_BLOCK_HEIGHT;
+  doc.save()
+    .lineWidth(0.75)
+    .strokeColor('#111827')
+    .rect(PAGE_MARGIN, top, width, TITLE_BLOCK_HEIGHT)
+    .stroke()
+    .restore();
+  doc.fillColor('#111827').font('Helvetica-Bold').fontSize(14)
+    .text(title, PAGE_MARGIN + 10, top + 10, { width: width - 20, lineBreak: false, ellipsis: true });
+  doc.fillColor('#374151').font('Helvetica').fontSize(9)
+    .text(subtitle, PAGE_MARGIN + 10, top + 32, { width: width - 20, lineBreak: false, ellipsis: true });
+};
+
+const drawPlan = (doc, plan, area, scaleDenominator) => {
+  const { minX, minY, maxX, maxY } = plan.bounds;
+  const pointsPerMeter = (1000 / scaleDenominator) * POINTS_PER_MM;
+  const offsetX = area.x + (area.width - (maxX - minX) * pointsPerMeter) / 2;
+  const offsetY = area.y + (area.height - (maxY - minY) * pointsPerMeter) / 2;
+  const toPage = (p) => [offsetX + (p.x - minX) * pointsPerMeter, offsetY + (p.y - minY) * pointsPerMeter];
+
+  plan.primitives.forEach(shape => {
+    const style = STYLES[shape.style];
+    doc.save();
+    if (shape.type === 'polygon') {
+      const [first, ...rest] = shape.points.map(toPage);
+      doc.moveTo(...first);
+      rest.forEach(point => doc.lineTo(...point));
+      doc.closePath();
+      if (style.stroke === 'none') {
+        doc.fillColor(style.fill).fill();
+      } else {
+        doc.lineWidth(style.strokeWidth * pointsPerMeter).fillAndStroke(style.fill, style.stroke);
+      }
+    } else if (shape.type === 'line') {
+      doc.moveTo(...toPage(shape.from)).lineTo(...toPage(shape.to))
+        .lineWidth(style.strokeWidth * pointsPerMeter)
+        .strokeColor(style.stroke)
+        .stroke();
+    } else {
+      const [x, y] = toPage(shape.at);
+      const fontSize = Math.max(style.fontSize * pointsPerMeter, 4);
+      doc.font('Helvetica').fontSize(fontSize).fillColor(style.fill);
+      const width = doc.widthOfString(shape.text);
+      if (shape.angle) doc.rotate(shape.angle, { origin: [x, y] });
+      doc.text(shape.text, x - width / 2, y - fontSize / 2, { lineBreak: false });
+    }
+    doc.restore();
+  });
+};
+
+// Each schedule as a table, starting a new page whenever the rows run out
+const drawSchedules = (doc, schedules) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const bottom = doc.page.height - PAGE_MARGIN;
+  let y = null;
+
+  const newPage = () => {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  };
+
+  SCHEDULES.filter(({ key }) => schedules[key].length > 0).forEach(({ key, title, columns }) => {
+    const columnWidth = width / columns.length;
+    const drawHeader = () => {
+      doc.font('Helvetica-Bold').fontSize(9).fillColor('#111827');
+      columns.forEach(([, label], i) => {
+        doc.text(label, PAGE_MARGIN + i * columnWidth, y, { width: columnWidth - 6, lineBreak: false, ellipsis: true });
+      });
+      y += ROW_HEIGHT;
+      doc.moveTo(PAGE_MARGIN, y - 4).lineTo(PAGE_MARGIN + width, y - 4).lineWidth(0.5).strokeColor('#9ca3af').stroke();
+    };
+
+    if (y === null || y + ROW_HEIGHT * 4 > bottom) newPage();
+    doc.font('Helvetica-Bold').fontSize(13).fillColor('#111827').text(title, PAGE_MARGIN, y, { lineBreak: false });
+    y += ROW_HEIGHT * 1.5;
+    drawHeader();
+
+    schedules[key].forEach(row => {
+      if (y + ROW_HEIGHT > bottom) {
+        newPage();
+        drawHeader();
+      }
+      doc.font('Helvetica').fontSize(9).fillColor('#374151');
+      columns.forEach(([field], i) => {
+        doc.text(String(row[field] ?? ''), PAGE_MARGIN + i * columnWidth, y, {
+          width: columnWidth - 6,
+          lineBreak: false,
+          ellipsis: true
+        });
+      });
+      y += ROW_HEIGHT;
+    });
+    y += ROW_HEIGHT;
+  });
+};
+
+// Render a floor plan (see buildFloorPlan) as a PDF: the plan at the
+// largest standard scale that fits on page one, then the schedules.
+// Metric plans print on A4, imperial plans on US Letter.
+const renderFloorPlanPdf = (plan, { title = 'Floor plan', date = new Date() } = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: plan.units === 'imperial' ? 'LETTER' : 'A4',
+    layout: 'landscape',
+    margin: PAGE_MARGIN,
+    info: { Title: title }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const area = {
+    x: PAGE_MARGIN,
+    y: PAGE_MARGIN,
+    width: doc.page.width - PAGE_MARGIN * 2,
+    height: doc.page.height - PAGE_MARGIN * 3 - TITLE_BLOCK_HEIGHT
+  };
+  const planWidth = plan.bounds.maxX - plan.bounds.minX;
+  const planHeight = plan.bounds.maxY - plan.bounds.minY;
+  const scaleDenominator = SCALES.find(scale => {
+    const pointsPerMeter = (1000 / scale) * POINTS_PER_MM;
+    return planWidth * pointsPerMeter <= area.width && planHeight * pointsPerMeter <= area.height;
+  }) || SCALES[SCALES.length - 1];
+
+  drawPlan(doc, plan, area, scaleDenominator);
+  drawTitleBlock(doc, {
+    title,
+    subtitle: [
+      date.toISOString().slice(0, 10),
+      `Scale 1:${scaleDenominator}`,
+      plan.units === 'imperial' ? 'Imperial units' : 'Metric units'
+    ].join('   |   ')
+  });
+  drawSchedules(doc, plan.schedules);
+
+  doc.end();
+});
+
+module.exports = {
+  renderFloorPlanPdf
+};
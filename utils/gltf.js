@@ -0,0 +1,316 @@
+const { dimensionsInMeters } = require('./units');
+const { getWallSegments } = require('./scene');
+
+// glTF 2.0 constants
+const FLOAT = 5126;
+const UNSIGNED_INT = 5125;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+const GLB_MAGIC = 0x46546c67;
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+const UP = [0, 1, 0];
+const PROXY_SIZE = 0.5; // meters, for items with no known dimensions
+const GLASS_THICKNESS = 0.02;
+
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// #RRGGBB to a linear RGBA factor (glTF colors are linear, CSS hex is sRGB)
+const hexToLinear = (hex, alpha = 1) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  const value = parseInt(match ? match[1] : '808080', 16);
+  const channel = (c) => {
+    const srgb = c / 255;
+    return srgb <= 0.04045 ? srgb / 12.92 : Math.pow((srgb + 0.055) / 1.055, 2.4);
+  };
+  return [channel((value >> 16) & 255), channel((value >> 8) & 255), channel(value & 255), alpha];
+};
+
+// Three.js-style XYZ Euler angles (radians) to a quaternion [x, y, z, w]
+const eulerToQuaternion = ({ x = 0, y = 0, z = 0 } = {}) => {
+  const c1 = Math.cos(x / 2), c2 = Math.cos(y / 2), c3 = Math.cos(z / 2);
+  const s1 = Math.sin(x / 2), s2 = Math.sin(y / 2), s3 = Math.sin(z / 2);
+  return [
+    s1 * c2 * c3 + c1 * s2 * s3,
+    c1 * s2 * c3 - s1 * c2 * s3,
+    c1 * c2 * s3 + s1 * s2 * c3,
+    c1 * c2 * c3 - s1 * s2 * s3
+  ];
+};
+
+const createGeometry = () => ({ positions: [], normals: [], indices: [] });
+
+// Append a box given its center, three right-handed unit axes and the half
+// size along each axis. Faces wind counter-clockwise seen from outside.
+const addBox = (geometry, center, axes, halfSizes) => {
+  for (let i = 0; i < 3; i += 1) {
+    const j = (i + 1) % 3;
+    const k = (i + 2) % 3;
+    [1, -1].forEach(sign => {
+      const normal = scale(axes[i], sign);
+      const faceCenter = add(center, scale(normal, halfSizes[i]));
+      const corner = (sj, sk) => add(faceCenter, add(scale(axes[j], sj * halfSizes[j]), scale(axes[k], sk * halfSizes[k])));
+      const base = geometry.positions.length / 3;
+
+      [corner(-1, -1), corner(1, -1), corner(1, 1), corner(-1, 1)].forEach(point => {
+        geometry.positions.push(...point);
+        geometry.normals.push(...normal);
+      });
+      if (sign > 0) {
+        geometry.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+      } else {
+        geometry.indices.push(base, base + 2, base + 1, base, base + 3, base + 2);
+      }
+    });
+  }
+};
+
+const createDocument = (name) => ({
+  json: {
+    asset: { version: '2.0', generator: 'DesignSpace 3D' },
+    scene: 0,
+    scenes: [{ name }],
+    nodes: [],
+    meshes: [],
+    materials: [],
+    accessors: [],
+    bufferViews: [],
+    buffers: [{ byteLength: 0 }]
+  },
+  chunks: [],
+  byteLength: 0,
+  materialsByKey: new Map()
+});
+
+const addBufferView = (doc, typedArray, target) => {
+  const data = Buffer.from(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+  const padding = (4 - (doc.byteLength % 4)) % 4;
+  if (padding) {
+    doc.chunks.push(Buffer.alloc(padding));
+    doc.byteLength += padding;
+  }
+  doc.json.bufferViews.push({ buffer: 0, byteOffset: doc.byteLength, byteLength: data.length, target });
+  doc.chunks.push(data);
+  doc.byteLength += data.length;
+  return doc.json.bufferViews.length - 1;
+};
+
+const addAccessor = (doc, typedArray, { type, componentType, target, withBounds = false }) => {
+  const size = type === 'VEC3' ? 3 : 1;
+  const accessor = {
+    bufferView: addBufferView(doc, typedArray, target),
+    componentType,
+    count: typedArray.length / size,
+    type
+  };
+  if (withBounds) {
+    accessor.min = [Infinity, Infinity, Infinity];
+    accessor.max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < typedArray.length; i += 3) {
+      for (let axis = 0; axis < 3; axis += 1) {
+        accessor.min[axis] = Math.min(accessor.min[axis], typedArray[i + axis]);
+        accessor.max[axis] = Math.max(accessor.max[axis], typedArray[i + axis]);
+      }
+    }
+  }
+  doc.json.accessors.push(accessor);
+  return doc.json.accessors.length - 1;
+};
+
+// Materials are shared between meshes with the same color and opacity
+const addMaterial = (doc, color, alpha = 1) => {
+  const key = `${color}:${alpha}`;
+  if (!doc.materialsByKey.has(key)) {
+    const material = {
+      name: color,
+      pbrMetallicRoughness: { baseColorFactor: hexToLinear(color, alpha), metallicFactor: 0, roughnessFactor: 0.9 }
+    };
+    if (alpha < 1) {
+      material.alphaMode = 'BLEND';
+      material.doubleSided = true;
+    }
+    doc.json.materials.push(material);
+    doc.materialsByKey.set(key, doc.json.materials.length - 1);
+  }
+  return doc.materialsByKey.get(key);
+};
+
+const addMesh = (doc, name, geometry, material) => {
+  if (geometry.indices.length === 0) return null;
+  const position = addAccessor(doc, new Float32Array(geometry.positions), {
+    type: 'VEC3', componentType: FLOAT, target: ARRAY_BUFFER, withBounds: true
+  });
+  const normal = addAccessor(doc, new Float32Array(geometry.normals), {
+    type: 'VEC3', componentType: FLOAT, target: ARRAY_BUFFER
+  });
+  const indices = addAccessor(doc, new Uint32Array(geometry.indices), {
+    type: 'SCALAR', componentType: UNSIGNED_INT, target: ELEMENT_ARRAY_BUFFER
+  });
+  doc.json.meshes.push({ name, primitives: [{ attributes: { POSITION: position, NORMAL: normal }, indices, material }] });
+  return doc.json.meshes.length - 1;
+};
+
+const addNode = (doc, node) => {
+  doc.json.nodes.push(node);
+  return doc.json.nodes.length - 1;
+};
+
+// Extrude one wall segment, leaving a hole for each window on it. Plan
+// coordinates (x, y) map to world (x, z) with y up, as in the editor.
+const buildSegment = (wallGeometry, glassGeometry, [from, to], wall, windows) => {
+  const dx = to.x - from.x;
+  const dz = to.y - from.y;
+  const length = Math.hypot(dx, dz);
+  if (length < 1e-6) return;
+
+  const along = [dx / length, 0, dz / length];
+  const across = [-along[2], 0, along[0]];
+  const axes = [along, UP, across];
+  const origin = [from.x, 0, from.y];
+  const height = wall.height;
+  const thickness = wall.thickness;
+
+  const addPiece = (u0, u1, y0, y1, geometry = wallGeometry, depth = thickness) => {
+    if (u1 - u0 <= 1e-6 || y1 - y0 <= 1e-6) return;
+    const center = add(add(origin, scale(along, (u0 + u1) / 2)), [0, (y0 + y1) / 2, 0]);
+    addBox(geometry, center, axes, [(u1 - u0) / 2, (y1 - y0) / 2, depth / 2]);
+  };
+
+  let cursor = 0;
+  windows
+    .map(window => ({ window, center: window.t * length }))
+    .sort((a, b) => a.center - b.center)
+    .forEach(({ window, center }) => {
+      const start = Math.max(clamp(center - window.width / 2, 0, length), cursor);
+      const end = clamp(center + window.width / 2, 0, length);
+      if (end <= start) return;
+      const sill = clamp(window.sill, 0, height);
+      const top = clamp(window.sill + window.height, 0, height);
+
+      addPiece(cursor, start, 0, height);
+      addPiece(start, end, 0, sill);
+      addPiece(start, end, top, height);
+      addPiece(start, end, sill, top, glassGeometry, Math.min(GLASS_THICKNESS, thickness / 4));
+      cursor = end;
+    });
+  addPiece(cursor, length, 0, height);
+};
+
+// Build a binary glTF (GLB) from a design scene. `furnitureById` maps
+// furnitureId strings to Furniture documents for model URLs and proxy sizes.
+const buildSceneGlb = ({ name, sceneData, furnitureById = new Map() }) => {
+  const doc = createDocument(name);
+  const walls = Array.isArray(sceneData.walls) ? sceneData.walls : [];
+  const windows = Array.isArray(sceneData.windows) ? sceneData.windows : [];
+  const furniture = Array.isArray(sceneData.furniture) ? sceneData.furniture : [];
+
+  const wallNodes = walls.map(wall => {
+    const wallGeometry = createGeometry();
+    const glassGeometry = createGeometry();
+    const wallWindows = windows.filter(window => window.wallId === wall.id);
+
+    getWallSegments(wall).forEach((segment, index) => {
+      const segmentWindows = wallWindows.filter(window => window.segmentIndex === index);
+      buildSegment(wallGeometry, glassGeometry, segment, wall, segmentWindows);
+    });
+
+    const children = [];
+    const glassColor = wallWindows[0] && wallWindows[0].color;
+    const glassMesh = addMesh(doc, `${wall.id}-glass`, glassGeometry, addMaterial(doc, glassColor || '#22d3ee', 0.3));
+    if (glassMesh !== null) children.push(addNode(doc, { name: `${wall.id}-windows`, mesh: glassMesh }));
+
+    const node = { name: wall.id, extras: { type: wall.type, thickness: wall.thickness, height: wall.height } };
+    const wallMesh = addMesh(doc, wall.id, wallGeometry, addMaterial(doc, wall.color || '#666666'));
+    if (wallMesh !== null) node.mesh = wallMesh;
+    if (children.length > 0) node.children = children;
+    return addNode(doc, node);
+  });
+
+  // One proxy box per catalog item (or per size for items without one)
+  const proxyMeshes = new Map();
+  const getProxyMesh = (key, size, color) => {
+    const meshKey = `${key}:${color}`;
+    if (!proxyMeshes.has(meshKey)) {
+      const geometry = createGeometry();
+      addBox(geometry, [0, size.height / 2, 0], [[1, 0, 0], UP, [0, 0, 1]], [size.width / 2, size.height / 2, size.depth / 2]);
+      proxyMeshes.set(meshKey, addMesh(doc, `${key}-proxy`, geometry, addMaterial(doc, color)));
+    }
+    return proxyMeshes.get(meshKey);
+  };
+
+  const furnitureNodes = furniture.map((item, index) => {
+    const catalogItem = item.furnitureId ? furnitureById.get(item.furnitureId.toString()) : null;
+    const position = item.position || {};
+    const itemScale = item.scale || {};
+    const node = {
+      name: (catalogItem && catalogItem.name) || item.name || `furniture-${index + 1}`,
+      translation: [position.x || 0, position.y || 0, position.z || 0],
+      rotation: eulerToQuaternion(item.rotation),
+      scale: [itemScale.x ?? 1, itemScale.y ?? 1, itemScale.z ?? 1],
+      extras: { furnitureId: item.furnitureId || null }
+    };
+
+    // Every item gets a proxy box so the file shows all pieces in any
+    // viewer; clients that can load the real model swap it in from extras
+    const size = catalogItem
+      ? dimensionsInMeters(catalogItem.dimensions)
+      : { width: PROXY_SIZE, height: PROXY_SIZE, depth: PROXY_SIZE };
+    const color = item.color || (catalogItem && catalogItem.defaultColor) || '#8B4513';
+    const key = catalogItem ? catalogItem._id.toString() : 'generic';
+    node.mesh = getProxyMesh(key, size, color);
+    node.extras.proxy = true;
+    if (catalogItem && catalogItem.model3D && catalogItem.model3D.url) {
+      node.extras.model3D = { url: catalogItem.model3D.url, format: catalogItem.model3D.format };
+    }
+    return addNode(doc, node);
+  });
+
+  const groups = [['Walls', wallNodes], ['Furniture', furnitureNodes]]
+    .filter(([, children]) => children.length > 0)
+    .map(([groupName, children]) => addNode(doc, { name: groupName, children }));
+  if (groups.length > 0) doc.json.scenes[0].nodes = groups;
+
+  return encodeGlb(doc);
+};
+
+// Pack the JSON and binary chunks into a GLB container
+const encodeGlb = (doc) => {
+  const padTo4 = (buffer, fill) => {
+    const padding = (4 - (buffer.length % 4)) % 4;
+    return padding ? Buffer.concat([buffer, Buffer.alloc(padding, fill)]) : buffer;
+  };
+
+  const bin = padTo4(Buffer.concat(doc.chunks), 0);
+  doc.json.buffers[0].byteLength = doc.byteLength;
+  // glTF does not allow empty top-level arrays
+  Object.keys(doc.json).forEach(key => {
+    if (Array.isArray(doc.json[key]) && doc.json[key].length === 0) delete doc.json[key];
+  });
+  if (bin.length === 0) delete doc.json.buffers;
+  const json = padTo4(Buffer.from(JSON.stringify(doc.json)), 0x20);
+
+  const chunkHeader = (length, type) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32LE(length, 0);
+    header.writeUInt32LE(type, 4);
+    return header;
+  };
+
+  const parts = [chunkHeader(json.length, CHUNK_JSON), json];
+  if (bin.length > 0) parts.push(chunkHeader(bin.length, CHUNK_BIN), bin);
+  const body = Buffer.concat(parts);
+
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(GLB_MAGIC, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + body.length, 8);
+  return Buffer.concat([header, body]);
+};
+
+module.exports = {
+  buildSceneGlb,
+  eulerToQuaternion
+};
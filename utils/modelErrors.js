@@ -0,0 +1,15 @@
+// Mongoose ValidationError as a list of errors in the same shape
+// express-validator reports them. Keys carry the full path, including
+// array indexes (`colors.0.hex`).
+const toValidationErrors = (error, location = 'body') =>
+  Object.entries(error.errors || {}).map(([path, item]) => ({
+    type: 'field',
+    location,
+    path,
+    msg: item.message,
+    value: item.value,
+  }));
+
+module.exports = {
+  toValidationErrors
+};
@@ -0,0 +1,92 @@
+// Price-history chart series. History entries ({ recordedAt, retail, sale,
+// saleStart, saleEnd }, oldest first) each hold an item's pricing until the
+// next one; the price paid at a moment is the sale price while the sale
+// runs and the retail price otherwise.
+
+const DAY = 24 * 60 * 60 * 1000;
+const PRIOR_PRICE_DAYS = 30; // window before a sale used to judge its discount
+
+const priceAt = (entries, time) => {
+  let entry = null;
+  for (const candidate of entries) {
+    if (candidate.recordedAt.getTime() > time) break;
+    entry = candidate;
+  }
+  if (!entry) return null;
+  const onSale = entry.sale !== null && entry.sale !== undefined &&
+    entry.saleStart && entry.saleEnd &&
+    entry.saleStart.getTime() <= time && time <= entry.saleEnd.getTime();
+  return { price: onSale ? entry.sale : entry.retail, retail: entry.retail, onSale: Boolean(onSale) };
+};
+
+// Step series between `from` and `to`: one point whenever the price paid
+// changes, [{ date, price, retail, onSale }]
+const buildPriceSeries = (entries, { from, to = new Date() }) => {
+  const times = new Set([from.getTime(), to.getTime()]);
+  entries.forEach(entry => {
+    times.add(entry.recordedAt.getTime());
+    if (entry.saleStart) times.add(entry.saleStart.getTime());
+    // A sale ends after its last moment
+    if (entry.saleEnd) times.add(entry.saleEnd.getTime() + 1);
+  });
+
+  const points = [];
+  [...times]
+    .filter(time => time >= from.getTime() && time <= to.getTime())
+    .sort((a, b) => a - b)
+    .forEach(time => {
+      const state = priceAt(entries, time);
+      if (!state) return;
+      const last = points[points.length - 1];
+      if (last && last.price === state.price && last.retail === state.retail && last.onSale === state.onSale) return;
+      points.push({ date: new Date(time), ...state });
+    });
+
+  // Close the line at `to` so charts draw the current price up to now
+  const last = points[points.length - 1];
+  if (last && last.date.getTime() !== to.getTime()) {
+    points.push({ ...last, date: to });
+  }
+  return points;
+};
+
+// Lowest and highest price paid over the series and, during a sale, the
+// lowest price in the PRIOR_PRICE_DAYS before it started: a discount is
+// only genuine if the sale price is below that
+const summarizePriceSeries = (entries, points, now = new Date()) => {
+  const current = priceAt(entries, now.getTime());
+  // Prices without an exchange rate are null and left out
+  const prices = points.map(point => point.price).filter(price => price !== null);
+  const summary = {
+    currentPrice: current ? current.price : null,
+    onSale: current ? current.onSale : false,
+    lowest: prices.length > 0 ? Math.min(...prices) : null,
+    highest: prices.length > 0 ? Math.max(...prices) : null,
+    sale: null
+  };
+  if (!current || !current.onSale) return summary;
+
+  const entry = [...entries].reverse().find(candidate => candidate.recordedAt <= now);
+  const saleStart = entry.saleStart.getTime();
+  const prior = buildPriceSeries(entries, { from: new Date(saleStart - PRIOR_PRICE_DAYS * DAY), to: new Date(saleStart - 1) })
+    .map(point => point.price)
+    .filter(price => price !== null);
+  const lowestBefore = prior.length > 0 ? Math.min(...prior) : null;
+
+  summary.sale = {
+    startedAt: entry.saleStart,
+    endsAt: entry.saleEnd,
+    price: current.price,
+    lowestBefore,
+    discountFromLowestBefore: lowestBefore
+      ? Math.round(((lowestBefore - current.price) / lowestBefore) * 100)
+      : null
+  };
+  return summary;
+};
+
+module.exports = {
+  PRIOR_PRICE_DAYS,
+  buildPriceSeries,
+  summarizePriceSeries
+};
@@ -0,0 +1,11 @@
+// Helpers for matching user-supplied text in Mongo queries
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Exact, case-insensitive match of any of `values`
+const anyOf = (values) => ({ $in: values.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) });
+
+module.exports = {
+  escapeRegex,
+  anyOf
+};
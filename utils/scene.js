@@ -0,0 +1,93 @@
+const { dimensionsInMeters } = require('./units');
+
+const PROXY_SIZE = 0.5; // meters, for items with no known dimensions
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Keys that identify people or editor internals and never leave the server
+// in read-only copies of a scene
+const PRIVATE_SCENE_KEYS = new Set(['owner', 'user', 'userId', 'createdBy', 'updatedBy', 'collaborators']);
+
+// Deep copy of a scene with private and underscore-prefixed keys removed
+const sanitizeScene = (value) => {
+  if (Array.isArray(value)) return value.map(sanitizeScene);
+  if (!isPlainObject(value)) return value;
+
+  return Object.keys(value).reduce((clean, key) => {
+    if (!key.startsWith('_') && !PRIVATE_SCENE_KEYS.has(key)) {
+      clean[key] = sanitizeScene(value[key]);
+    }
+    return clean;
+  }, {});
+};
+
+// Distinct catalog ids referenced by a scene's furniture
+const getSceneFurnitureIds = (sceneData) => {
+  const furniture = isPlainObject(sceneData) && Array.isArray(sceneData.furniture) ? sceneData.furniture : [];
+  const ids = furniture
+    .filter(item => isPlainObject(item) && item.furnitureId)
+    .map(item => item.furnitureId.toString());
+  return [...new Set(ids)];
+};
+
+// Catalog ids placed in `after` beyond what `before` already had, once per
+// extra placement (a second sofa of the same model counts again)
+const getAddedFurnitureIds = (before, after) => {
+  const countIds = (sceneData) => {
+    const furniture = isPlainObject(sceneData) && Array.isArray(sceneData.furniture) ? sceneData.furniture : [];
+    return furniture
+      .filter(item => isPlainObject(item) && item.furnitureId)
+      .reduce((counts, item) => {
+        const id = item.furnitureId.toString();
+        counts.set(id, (counts.get(id) || 0) + 1);
+        return counts;
+      }, new Map());
+  };
+  const previous = countIds(before);
+  return [...countIds(after)].flatMap(([id, count]) =>
+    Array(Math.max(count - (previous.get(id) || 0), 0)).fill(id));
+};
+
+// Consecutive point pairs of a wall; closed rooms wrap back to the start
+const getWallSegments = (wall) => {
+  const points = (wall && Array.isArray(wall.points)) ? wall.points : [];
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i += 1) segments.push([points[i], points[i + 1]]);
+  if (wall.type === 'room' && points.length > 2) segments.push([points[points.length - 1], points[0]]);
+  return segments;
+};
+
+// Footprint of a furniture item seen from above, sized from its catalog
+// item (or a proxy box). Plan y is world z, and a rotation of θ about the
+// world y axis turns (x, z) by -θ in the plan.
+const getFurnitureFootprint = (item, catalogItem) => {
+  const size = catalogItem && catalogItem.dimensions
+    ? dimensionsInMeters(catalogItem.dimensions)
+    : { width: PROXY_SIZE, height: PROXY_SIZE, depth: PROXY_SIZE };
+  const itemScale = item.scale || {};
+  const width = size.width * (itemScale.x ?? 1);
+  const depth = size.depth * (itemScale.z ?? 1);
+  const height = size.height * (itemScale.y ?? 1);
+  const angle = (item.rotation && item.rotation.y) || 0;
+  const center = { x: (item.position && item.position.x) || 0, y: (item.position && item.position.z) || 0 };
+
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sz]) => {
+    const lx = (sx * width) / 2;
+    const lz = (sz * depth) / 2;
+    return { x: center.x + lx * cos + lz * sin, y: center.y - lx * sin + lz * cos };
+  });
+
+  return { center, corners, width, depth, height };
+};
+
+module.exports = {
+  isPlainObject,
+  sanitizeScene,
+  getSceneFurnitureIds,
+  getAddedFurnitureIds,
+  getWallSegments,
+  getFurnitureFootprint
+};
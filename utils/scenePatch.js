@@ -0,0 +1,98 @@
+const { applyOperation, deepClone, JsonPatchError } = require('fast-json-patch');
+
+// Upper bound on operations accepted in one PATCH request
+const MAX_OPERATIONS = 1000;
+
+// Split a JSON Pointer into its unescaped tokens
+const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+const getAt = (doc, tokens) => tokens.reduce(
+  (node, token) => (node === null || node === undefined ? undefined : node[token]),
+  doc
+);
+
+// Work out which path has to be rewritten in Mongo for one add/remove/replace.
+// Appends and element replacements stay narrow; anything that shifts array
+// indices rewrites the whole array.
+const writePathFor = (doc, op, tokens) => {
+  if (tokens.length === 0) return tokens;
+
+  const parentTokens = tokens.slice(0, -1);
+  const parent = getAt(doc, parentTokens);
+  if (!Array.isArray(parent)) return tokens;
+
+  const last = tokens[tokens.length - 1];
+  if (op === 'replace') return tokens;
+  if (op === 'add' && (last === '-' || Number(last) === parent.length)) {
+    return [...parentTokens, String(parent.length)];
+  }
+  return parentTokens;
+};
+
+const isPrefix = (prefix, tokens) =>
+  prefix.length <= tokens.length && prefix.every((token, i) => token === tokens[i]);
+
+// Tokens Mongo cannot address with dot notation
+const isUnsafeToken = (token) => token === '' || token.includes('.') || token.startsWith('$');
+
+// Turn the touched paths into a $set/$unset update rooted at `field`
+const buildUpdate = (field, patched, writePaths) => {
+  const paths = writePaths
+    .sort((a, b) => a.length - b.length)
+    .filter((tokens, i, all) => !all.slice(0, i).some(shorter => isPrefix(shorter, tokens)));
+
+  if (paths.some(tokens => tokens.length === 0 || tokens.some(isUnsafeToken))) {
+    return { $set: { [field]: patched } };
+  }
+
+  const update = {};
+  paths.forEach(tokens => {
+    const key = [field, ...tokens].join('.');
+    const value = getAt(patched, tokens);
+    if (value === undefined) {
+      update.$unset = { ...update.$unset, [key]: '' };
+    } else {
+      update.$set = { ...update.$set, [key]: value };
+    }
+  });
+  return update;
+};
+
+// Apply RFC 6902 operations to a copy of a scene. Returns the patched scene
+// and a minimal Mongo update for `field`; throws JsonPatchError on the first
+// operation that fails, leaving the original scene untouched.
+const applyScenePatch = (sceneData, operations, field = 'sceneData') => {
+  let patched = deepClone(sceneData);
+  const writePaths = [];
+
+  operations.forEach((operation, index) => {
+    const op = operation && operation.op;
+    if (op && op !== 'test' && typeof operation.path === 'string') {
+      const tokens = parsePointer(operation.path);
+      if (op === 'move' && typeof operation.from === 'string') {
+        writePaths.push(writePathFor(patched, 'remove', parsePointer(operation.from)));
+        writePaths.push(writePathFor(patched, 'add', tokens));
+      } else {
+        writePaths.push(writePathFor(patched, op === 'copy' ? 'add' : op, tokens));
+      }
+    }
+    try {
+      patched = applyOperation(patched, operation, true, true, true, index).newDocument;
+    } catch (error) {
+      // Validation inside applyOperation always reports index 0
+      if (error instanceof JsonPatchError) error.index = index;
+      throw error;
+    }
+  });
+
+  return { sceneData: patched, update: buildUpdate(field, patched, writePaths) };
+};
+
+module.exports = {
+  MAX_OPERATIONS,
+  JsonPatchError,
+  applyScenePatch
+};
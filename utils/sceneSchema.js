@@ -0,0 +1,273 @@
+const { isPlainObject } = require('./scene');
+
+// Version written to sceneData.schemaVersion by this server. Scenes saved
+// before versioning was introduced have no schemaVersion and count as 1.
+const CURRENT_SCENE_VERSION = 2;
+
+const HEX_COLOR = /^#[0-9A-F]{6}$/i;
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+const WALL_TYPES = ['wall', 'room'];
+
+// Defaults mirror the Template model
+const WALL_DEFAULTS = { type: 'wall', completed: true, thickness: 0.2, height: 3 };
+const WINDOW_DEFAULTS = { width: 1.2, height: 1.2, sill: 0.9 };
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const toVector = (value, fallback) => {
+  if (isFiniteNumber(value)) return { x: value, y: value, z: value };
+  return isPlainObject(value) ? { ...fallback, ...value } : { ...fallback };
+};
+
+// v1 -> v2: fill Template defaults, accept [x, y] wall points, and expand
+// single-number furniture rotation (about y) and uniform scale into vectors
+const migrateV1 = (scene) => ({
+  ...scene,
+  walls: Array.isArray(scene.walls)
+    ? scene.walls.map(wall => (isPlainObject(wall) ? {
+      ...WALL_DEFAULTS,
+      ...wall,
+      points: Array.isArray(wall.points)
+        ? wall.points.map(point => (Array.isArray(point) ? { x: point[0], y: point[1] } : point))
+        : wall.points
+    } : wall))
+    : scene.walls,
+  windows: Array.isArray(scene.windows)
+    ? scene.windows.map(window => (isPlainObject(window) ? { ...WINDOW_DEFAULTS, ...window } : window))
+    : scene.windows,
+  furniture: Array.isArray(scene.furniture)
+    ? scene.furniture.map(item => (isPlainObject(item) ? {
+      ...item,
+      rotation: isFiniteNumber(item.rotation)
+        ? { x: 0, y: item.rotation, z: 0 }
+        : toVector(item.rotation, { x: 0, y: 0, z: 0 }),
+      scale: toVector(item.scale, { x: 1, y: 1, z: 1 })
+    } : item))
+    : scene.furniture
+});
+
+// Migration from each version to the next
+const migrations = {
+  1: migrateV1
+};
+
+const getSceneVersion = (sceneData) =>
+  (sceneData.schemaVersion !== undefined ? sceneData.schemaVersion : 1);
+
+// Bring a scene up to the current version. Returns a new object and leaves
+// the input untouched; unknown or future versions are returned as-is for
+// validateScene to report.
+const migrateScene = (sceneData) => {
+  if (!isPlainObject(sceneData)) {
+    return { sceneData, fromVersion: null, migrated: false };
+  }
+
+  const fromVersion = getSceneVersion(sceneData);
+  if (!Number.isInteger(fromVersion) || fromVersion >= CURRENT_SCENE_VERSION || fromVersion < 1) {
+    return { sceneData, fromVersion, migrated: false };
+  }
+
+  let scene = JSON.parse(JSON.stringify(sceneData));
+  for (let version = fromVersion; version < CURRENT_SCENE_VERSION; version += 1) {
+    scene = migrations[version](scene);
+  }
+  scene.schemaVersion = CURRENT_SCENE_VERSION;
+  return { sceneData: scene, fromVersion, migrated: true };
+};
+
+// Collects errors in the same shape express-validator reports them
+const createErrorList = () => {
+  const errors = [];
+  return {
+    errors,
+    add: (path, msg, value) => errors.push({ type: 'field', location: 'body', path, msg, value })
+  };
+};
+
+const checkNumber = (report, path, value, { min, max, exclusiveMin } = {}) => {
+  if (!isFiniteNumber(value)) {
+    report.add(path, 'Must be a number', value);
+    return false;
+  }
+  if (exclusiveMin !== undefined && value <= exclusiveMin) {
+    report.add(path, `Must be greater than ${exclusiveMin}`, value);
+    return false;
+  }
+  if (min !== undefined && value < min) {
+    report.add(path, `Must be at least ${min}`, value);
+    return false;
+  }
+  if (max !== undefined && value > max) {
+    report.add(path, `Must be at most ${max}`, value);
+    return false;
+  }
+  return true;
+};
+
+const checkColor = (report, path, value) => {
+  if (value !== undefined && value !== null && !(typeof value === 'string' && HEX_COLOR.test(value))) {
+    report.add(path, 'Must be a hex color like #AABBCC', value);
+  }
+};
+
+const checkId = (report, path, value, seen) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    report.add(path, 'Must be a non-empty string', value);
+  } else if (seen.has(value)) {
+    report.add(path, `Duplicate id "${value}"`, value);
+  } else {
+    seen.add(value);
+  }
+};
+
+const checkVector = (report, path, value, options, keys = ['x', 'y', 'z']) => {
+  if (!isPlainObject(value)) {
+    report.add(path, 'Must be an object', value);
+    return;
+  }
+  keys.forEach(key => checkNumber(report, `${path}.${key}`, value[key], options));
+};
+
+const checkWall = (report, path, wall, wallIds) => {
+  if (!isPlainObject(wall)) {
+    report.add(path, 'Must be an object', wall);
+    return;
+  }
+  checkId(report, `${path}.id`, wall.id, wallIds);
+  if (!WALL_TYPES.includes(wall.type)) {
+    report.add(`${path}.type`, `Must be one of: ${WALL_TYPES.join(', ')}`, wall.type);
+  }
+  if (!Array.isArray(wall.points)) {
+    report.add(`${path}.points`, 'Must be an array', wall.points);
+  } else if (wall.points.length < 2) {
+    report.add(`${path}.points`, 'Must contain at least 2 points', wall.points);
+  } else {
+    wall.points.forEach((point, i) => checkVector(report, `${path}.points[${i}]`, point, {}, ['x', 'y']));
+  }
+  if (wall.completed !== undefined && typeof wall.completed !== 'boolean') {
+    report.add(`${path}.completed`, 'Must be a boolean', wall.completed);
+  }
+  checkNumber(report, `${path}.thickness`, wall.thickness, { exclusiveMin: 0 });
+  checkNumber(report, `${path}.height`, wall.height, { exclusiveMin: 0 });
+  checkColor(report, `${path}.color`, wall.color);
+};
+
+const checkWindow = (report, path, window, windowIds, wallsById) => {
+  if (!isPlainObject(window)) {
+    report.add(path, 'Must be an object', window);
+    return;
+  }
+  checkId(report, `${path}.id`, window.id, windowIds);
+  checkNumber(report, `${path}.t`, window.t, { min: 0, max: 1 });
+  checkNumber(report, `${path}.width`, window.width, { exclusiveMin: 0 });
+  const heightOk = checkNumber(report, `${path}.height`, window.height, { exclusiveMin: 0 });
+  const sillOk = checkNumber(report, `${path}.sill`, window.sill, { min: 0 });
+  checkColor(report, `${path}.color`, window.color);
+
+  const wall = wallsById.get(window.wallId);
+  if (!wall) {
+    report.add(`${path}.wallId`, 'Does not match any wall', window.wallId);
+    return;
+  }
+
+  // Closed rooms have a segment from the last point back to the first
+  const points = Array.isArray(wall.points) ? wall.points.length : 0;
+  const segments = wall.type === 'room' ? points : points - 1;
+  if (!Number.isInteger(window.segmentIndex) || window.segmentIndex < 0 || window.segmentIndex >= segments) {
+    report.add(`${path}.segmentIndex`, `Must be an integer from 0 to ${Math.max(segments - 1, 0)}`, window.segmentIndex);
+  }
+
+  if (heightOk && sillOk && isFiniteNumber(wall.height) && window.sill + window.height > wall.height) {
+    report.add(`${path}.height`, 'Window sill plus height exceeds the wall height', window.height);
+  }
+};
+
+const checkFurniture = (report, path, item) => {
+  if (!isPlainObject(item)) {
+    report.add(path, 'Must be an object', item);
+    return;
+  }
+  if (item.furnitureId !== undefined && item.furnitureId !== null &&
+      !(typeof item.furnitureId === 'string' && OBJECT_ID.test(item.furnitureId))) {
+    report.add(`${path}.furnitureId`, 'Must be a furniture id', item.furnitureId);
+  }
+  checkVector(report, `${path}.position`, item.position);
+  checkVector(report, `${path}.rotation`, item.rotation);
+  checkVector(report, `${path}.scale`, item.scale, { exclusiveMin: 0 });
+  checkColor(report, `${path}.color`, item.color);
+};
+
+// Validate a scene at the current version. Returns express-validator style
+// errors with a precise path for every problem (empty when valid).
+const validateScene = (sceneData) => {
+  const report = createErrorList();
+
+  if (!isPlainObject(sceneData)) {
+    report.add('sceneData', 'Must be an object', sceneData);
+    return report.errors;
+  }
+  if (sceneData.schemaVersion !== CURRENT_SCENE_VERSION) {
+    report.add('sceneData.schemaVersion', `Unsupported scene schema version (current is ${CURRENT_SCENE_VERSION})`, sceneData.schemaVersion);
+    return report.errors;
+  }
+
+  ['walls', 'windows', 'furniture'].forEach(key => {
+    if (sceneData[key] !== undefined && !Array.isArray(sceneData[key])) {
+      report.add(`sceneData.${key}`, 'Must be an array', sceneData[key]);
+    }
+  });
+
+  const walls = Array.isArray(sceneData.walls) ? sceneData.walls : [];
+  const windows = Array.isArray(sceneData.windows) ? sceneData.windows : [];
+  const furniture = Array.isArray(sceneData.furniture) ? sceneData.furniture : [];
+
+  const wallIds = new Set();
+  walls.forEach((wall, i) => checkWall(report, `sceneData.walls[${i}]`, wall, wallIds));
+
+  const wallsById = new Map(walls.filter(isPlainObject).map(wall => [wall.id, wall]));
+  const windowIds = new Set();
+  windows.forEach((window, i) => checkWindow(report, `sceneData.windows[${i}]`, window, windowIds, wallsById));
+
+  furniture.forEach((item, i) => checkFurniture(report, `sceneData.furniture[${i}]`, item));
+
+  return report.errors;
+};
+
+// Migrate a scene to the current version and validate it
+const normalizeScene = (sceneData) => {
+  const { sceneData: migrated, fromVersion } = migrateScene(sceneData);
+  return { sceneData: migrated, fromVersion, errors: validateScene(migrated) };
+};
+
+// Current-version scene built from a Template's walls, windows and furniture
+const sceneFromTemplate = (template) => {
+  const { walls = [], windows = [], furniture = [] } = typeof template.toObject === 'function'
+    ? template.toObject({ depopulate: true })
+    : template;
+  const strip = (value) => {
+    if (!isPlainObject(value)) return value;
+    const { _id, ...rest } = value;
+    return rest;
+  };
+
+  return {
+    schemaVersion: CURRENT_SCENE_VERSION,
+    walls: walls.map(wall => ({ ...strip(wall), points: wall.points.map(strip) })),
+    windows: windows.map(strip),
+    furniture: furniture.map(item => ({
+      ...strip(item),
+      furnitureId: item.furnitureId ? item.furnitureId.toString() : null,
+      position: strip(item.position),
+      rotation: strip(item.rotation),
+      scale: strip(item.scale)
+    }))
+  };
+};
+
+module.exports = {
+  CURRENT_SCENE_VERSION,
+  migrateScene,
+  validateScene,
+  normalizeScene,
+  sceneFromTemplate
+};
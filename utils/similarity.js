@@ -0,0 +1,117 @@
+const { hexToLab, paletteDistance } = require('./color');
+const { dimensionsInCm } = require('./units');
+const { BASE_CURRENCY, convertAmount } = require('./currency');
+
+// How much each attribute counts towards a similar-item score
+const SIMILAR_WEIGHTS = {
+  subcategory: 0.2,
+  size: 0.2,
+  price: 0.2,
+  materials: 0.1,
+  colors: 0.1,
+  tags: 0.1,
+  placedTogether: 0.1
+};
+// Complementary items are mostly about being used together; style only
+// breaks ties between pieces that go together equally often
+const COMPLEMENTARY_WEIGHTS = {
+  placedTogether: 0.6,
+  price: 0.15,
+  materials: 0.1,
+  colors: 0.1,
+  tags: 0.05
+};
+const PALETTE_SCALE = 40; // CIEDE2000 distance at which palettes score 0
+
+const lower = (values) => (values || []).map(value => String(value).toLowerCase());
+
+const jaccard = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 || setB.size === 0) return { score: 0, shared: [] };
+  const shared = [...setA].filter(value => setB.has(value));
+  return { score: shared.length / new Set([...a, ...b]).size, shared };
+};
+
+// Price in the base currency, so items priced in different currencies
+// compare fairly (0 when there is no rate for the item's currency)
+const priceOf = (item, rates) => convertAmount(
+  item.currentPrice ?? (item.pricing && item.pricing.retail) ?? item.price ?? 0,
+  item.currency, BASE_CURRENCY, rates
+) || 0;
+const sizeOf = (item) => item.dimensionsCm || (item.dimensions ? dimensionsInCm(item.dimensions) : null);
+
+// Attribute scores between two items (0-1 each) with a reason for every
+// attribute that matches well enough to mention. `rates` is an exchange-rate
+// table (see utils/currency.js).
+const compareItems = (base, candidate, placedTogether = null, rates = { [BASE_CURRENCY]: 1 }) => {
+  const scores = {};
+  const reasons = [];
+
+  scores.subcategory = base.subcategory && candidate.subcategory &&
+    base.subcategory.toLowerCase() === candidate.subcategory.toLowerCase() ? 1 : 0;
+  if (scores.subcategory) reasons.push(`Same subcategory (${candidate.subcategory})`);
+
+  const baseSize = sizeOf(base);
+  const size = sizeOf(candidate);
+  if (baseSize && size) {
+    const ratios = ['width', 'depth', 'height'].map(axis => {
+      const larger = Math.max(baseSize[axis], size[axis]);
+      return larger > 0 ? Math.min(baseSize[axis], size[axis]) / larger : 1;
+    });
+    scores.size = ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length;
+    if (scores.size >= 0.8) reasons.push('Similar size');
+  } else {
+    scores.size = 0;
+  }
+
+  const basePrice = priceOf(base, rates);
+  const price = priceOf(candidate, rates);
+  scores.price = basePrice > 0 && price > 0 ? Math.min(basePrice, price) / Math.max(basePrice, price) : 0;
+  if (scores.price >= 0.7) reasons.push('Similar price');
+
+  const materials = jaccard(lower(base.materials), lower(candidate.materials));
+  scores.materials = materials.score;
+  if (materials.shared.length > 0) reasons.push(`Shares materials: ${materials.shared.join(', ')}`);
+
+  const labs = (item) => (item.colors || [])
+    .map(color => (color.lab && color.lab.L !== undefined ? color.lab : hexToLab(color.hex)));
+  const distance = paletteDistance(labs(base), labs(candidate));
+  scores.colors = distance === null ? 0 : Math.max(0, 1 - distance / PALETTE_SCALE);
+  if (scores.colors >= 0.75) reasons.push('Similar colors');
+
+  const tags = jaccard(lower(base.tags), lower(candidate.tags));
+  scores.tags = tags.score;
+  if (tags.shared.length > 0) reasons.push(`Shared tags: ${tags.shared.join(', ')}`);
+
+  scores.placedTogether = placedTogether ? placedTogether.score : 0;
+  if (placedTogether) {
+    reasons.push(`Often placed together (${placedTogether.count} designs and templates)`);
+  }
+
+  return { scores, reasons };
+};
+
+const weigh = (scores, weights) => Object.entries(weights)
+  .reduce((total, [attribute, weight]) => total + weight * (scores[attribute] || 0), 0);
+
+// Rank `candidates` against `base`. `affinity` maps a candidate id to its
+// "placed together" partner entry ({ score, count }), if any.
+const rankRecommendations = (base, candidates, { affinity = new Map(), rates, kind = 'similar', limit = 5, minScore = 0 } = {}) => {
+  const weights = kind === 'complementary' ? COMPLEMENTARY_WEIGHTS : SIMILAR_WEIGHTS;
+  return candidates
+    .map(candidate => {
+      const { scores, reasons } = compareItems(base, candidate, affinity.get(candidate._id.toString()) || null, rates);
+      return { item: candidate, score: Math.round(weigh(scores, weights) * 1000) / 1000, reasons };
+    })
+    .filter(result => result.score > minScore)
+    .sort((a, b) => b.score - a.score || (b.item.popularity || 0) - (a.item.popularity || 0))
+    .slice(0, limit);
+};
+
+module.exports = {
+  SIMILAR_WEIGHTS,
+  COMPLEMENTARY_WEIGHTS,
+  compareItems,
+  rankRecommendations
+};
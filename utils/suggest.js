@@ -0,0 +1,164 @@
+// In-memory autocomplete index. Entries (furniture, brands, tags, templates)
+// are found by word prefix or, failing that, by a prefix within a small
+// edit distance, so "sof", "sofs" and "scandi" all find something.
+
+// Letters that don't decompose into a base letter and an accent
+const FOLDED_LETTERS = { ø: 'o', æ: 'ae', œ: 'oe', ß: 'ss', ł: 'l', đ: 'd', þ: 'th' };
+
+// Lowercase, strip accents and split into words
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[øæœßłđþ]/g, letter => FOLDED_LETTERS[letter])
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Typos allowed for a query word of this length
+const allowedEdits = (length) => (length < 3 ? 0 : length < 6 ? 1 : 2);
+
+// Damerau-Levenshtein distance (adjacent swaps count once), giving up
+// as soon as it must exceed `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// Smallest distance between `word` and a prefix of `token` of about the
+// same length, so a typo in a partly typed word still matches
+const prefixDistance = (word, token, max) => {
+  let best = max + 1;
+  for (let length = Math.max(word.length - max, 1); length <= Math.min(word.length + max, token.length); length += 1) {
+    best = Math.min(best, editDistance(word, token.slice(0, length), max));
+    if (best === 0) break;
+  }
+  return best;
+};
+
+// Build an index from entries of the form
+//   { type, key, text, popularity, data }
+// `text` is what is matched and shown; `data` is returned as-is.
+const buildSuggestIndex = (entries) => {
+  const postings = new Map(); // word -> Set of entry indexes
+  entries.forEach((entry, index) => {
+    entry.tokens = tokenize(entry.text);
+    entry.phrase = entry.tokens.join(' ');
+    entry.tokens.forEach(token => {
+      if (!postings.has(token)) postings.set(token, new Set());
+      postings.get(token).add(index);
+    });
+  });
+  const words = [...postings.keys()].sort();
+  const wordsByInitial = words.reduce((groups, word) => {
+    if (!groups.has(word[0])) groups.set(word[0], []);
+    groups.get(word[0]).push(word);
+    return groups;
+  }, new Map());
+
+  return { entries, postings, words, wordsByInitial, builtAt: new Date() };
+};
+
+// Entry indexes containing a word starting with `prefix`
+const prefixMatches = (index, prefix) => {
+  const matches = new Set();
+  let low = 0;
+  let high = index.words.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (index.words[mid] < prefix) low = mid + 1; else high = mid;
+  }
+  for (let i = low; i < index.words.length && index.words[i].startsWith(prefix); i += 1) {
+    index.postings.get(index.words[i]).forEach(entry => matches.add(entry));
+  }
+  return matches;
+};
+
+// Entry indexes containing a word within the allowed edits of `word`
+// (compared as a prefix). Words sharing the first letter are tried first;
+// the rest only when those find nothing.
+const fuzzyMatches = (index, word) => {
+  const max = allowedEdits(word.length);
+  const matches = new Set();
+  if (max === 0) return matches;
+
+  const scan = (candidates) => {
+    for (const candidate of candidates) {
+      if (prefixDistance(word, candidate, max) <= max) {
+        index.postings.get(candidate).forEach(entry => matches.add(entry));
+      }
+    }
+  };
+  scan(index.wordsByInitial.get(word[0]) || []);
+  if (matches.size === 0) scan(index.words);
+  return matches;
+};
+
+const intersect = (a, b) => new Set([...a].filter(value => b.has(value)));
+
+// Suggestions for `query`: every query word must match a word of the entry
+// by prefix, or by fuzzy prefix if none does. Entries whose text starts
+// with the query rank first, then prefix matches, then fuzzy ones; within
+// each group the most popular come first.
+const searchSuggestIndex = (index, query, { limit = 10, types = null } = {}) => {
+  const queryWords = tokenize(query);
+  if (queryWords.length === 0) return [];
+
+  let candidates = null;
+  let fuzzy = false;
+  for (const word of queryWords) {
+    let matches = prefixMatches(index, word);
+    if (candidates) matches = intersect(matches, candidates);
+    if (matches.size === 0) {
+      matches = fuzzyMatches(index, word);
+      if (candidates) matches = intersect(matches, candidates);
+      fuzzy = true;
+    }
+    if (matches.size === 0) return [];
+    candidates = matches;
+  }
+
+  const phrase = queryWords.join(' ');
+  return [...candidates]
+    .map(position => index.entries[position])
+    .filter(entry => !types || types.includes(entry.type))
+    .map(entry => ({
+      entry,
+      tier: fuzzy ? 2 : entry.phrase.startsWith(phrase) ? 0 : 1
+    }))
+    .sort((a, b) => a.tier - b.tier ||
+      b.entry.popularity - a.entry.popularity ||
+      a.entry.text.length - b.entry.text.length)
+    .slice(0, limit)
+    .map(({ entry, tier }) => ({
+      type: entry.type,
+      text: entry.text,
+      match: tier === 2 ? 'fuzzy' : 'prefix',
+      popularity: entry.popularity,
+      ...entry.data
+    }));
+};
+
+module.exports = {
+  tokenize,
+  editDistance,
+  buildSuggestIndex,
+  searchSuggestIndex
+};
@@ -0,0 +1,271 @@
+const { toMeters } = require('./units');
+const { getWallSegments, getFurnitureFootprint } = require('./scene');
+
+const MIN_WINDOW_HEIGHT = 0.3; // meters; shorter windows are dropped
+const TOLERANCE = 0.005; // meters; smaller changes are not reported
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y });
+const mul = (a, s) => ({ x: a.x * s, y: a.y * s });
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+const length = (a) => Math.hypot(a.x, a.y);
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const wallLength = (wall) => getWallSegments(wall).reduce((sum, [a, b]) => sum + length(sub(b, a)), 0);
+
+const boundsOf = (points) => points.reduce((bounds, p) => ({
+  minX: Math.min(bounds.minX, p.x),
+  minY: Math.min(bounds.minY, p.y),
+  maxX: Math.max(bounds.maxX, p.x),
+  maxY: Math.max(bounds.maxY, p.y)
+}), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+// Segment of any wall closest to a plan point
+const findNearestSegment = (walls, point) => {
+  let nearest = null;
+  walls.forEach((wall, wallIndex) => {
+    getWallSegments(wall).forEach(([a, b], segmentIndex) => {
+      const segmentLength = length(sub(b, a));
+      if (segmentLength < 1e-6) return;
+      const direction = mul(sub(b, a), 1 / segmentLength);
+      const along = clamp(dot(sub(point, a), direction), 0, segmentLength);
+      const distance = length(sub(point, add(a, mul(direction, along))));
+      if (!nearest || distance < nearest.distance) {
+        nearest = { wallIndex, segmentIndex, distance };
+      }
+    });
+  });
+  return nearest;
+};
+
+// Position relative to a segment: fraction along it and signed distance
+// from its centerline (positive on the left of a -> b)
+const toSegmentFrame = ([a, b], point) => {
+  const segmentLength = length(sub(b, a));
+  const direction = mul(sub(b, a), 1 / segmentLength);
+  const normal = { x: -direction.y, y: direction.x };
+  const offset = sub(point, a);
+  return { along: dot(offset, direction) / segmentLength, across: dot(offset, normal) };
+};
+
+const fromSegmentFrame = ([a, b], { along, across }) => {
+  const direction = sub(b, a);
+  const segmentLength = length(direction);
+  const unit = mul(direction, 1 / segmentLength);
+  return add(add(a, mul(direction, along)), mul({ x: -unit.y, y: unit.x }, across));
+};
+
+const segmentAngle = ([a, b]) => Math.atan2(b.y - a.y, b.x - a.x);
+
+// Resize a template scene (see sceneFromTemplate) from the template's
+// roomSize to `target` ({ width, depth, height?, unit }).
+//
+// Walls are stretched about the center of the plan along x (width) and
+// plan y (depth); heights scale when a target height is given. Windows keep
+// their relative position on their segment, pulled in from the corners or
+// lowered when they no longer fit, and are dropped when they cannot be.
+// Furniture keeps its position along and distance from its nearest wall,
+// is pushed back inside the room if it overhangs, and is dropped if it is
+// larger than the room. Every change is listed in `adjustments`.
+const fitSceneToRoom = ({ sceneData, roomSize, target, furnitureById = new Map() }) => {
+  const templateUnit = roomSize.unit || 'm';
+  const targetUnit = target.unit || 'm';
+  const from = {
+    width: toMeters(roomSize.width, templateUnit),
+    depth: toMeters(roomSize.depth, templateUnit),
+    height: toMeters(roomSize.height, templateUnit)
+  };
+  const to = {
+    width: toMeters(target.width, targetUnit),
+    depth: toMeters(target.depth, targetUnit),
+    height: target.height !== undefined ? toMeters(target.height, targetUnit) : from.height
+  };
+  const scale = {
+    x: from.width > 0 ? to.width / from.width : 1,
+    y: from.height > 0 ? to.height / from.height : 1,
+    z: from.depth > 0 ? to.depth / from.depth : 1
+  };
+
+  const adjustments = [];
+  const walls = sceneData.walls || [];
+  const wallPoints = walls.flatMap(wall => wall.points);
+  const planBounds = wallPoints.length > 0 ? boundsOf(wallPoints) : { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  const center = { x: (planBounds.minX + planBounds.maxX) / 2, y: (planBounds.minY + planBounds.maxY) / 2 };
+  const stretch = (point) => ({
+    x: round(center.x + (point.x - center.x) * scale.x),
+    y: round(center.y + (point.y - center.y) * scale.z)
+  });
+
+  // Walls
+  const fittedWalls = walls.map(wall => {
+    const fitted = {
+      ...wall,
+      points: wall.points.map(stretch),
+      height: round(wall.height * scale.y)
+    };
+    const before = wallLength(wall);
+    const after = wallLength(fitted);
+    if (Math.abs(after - before) > TOLERANCE || Math.abs(fitted.height - wall.height) > TOLERANCE) {
+      adjustments.push({
+        type: 'wall',
+        id: wall.id,
+        action: 'resized',
+        from: { length: round(before), height: wall.height },
+        to: { length: round(after), height: fitted.height }
+      });
+    }
+    return fitted;
+  });
+  const wallsById = new Map(fittedWalls.map(wall => [wall.id, wall]));
+
+  // Windows
+  const fittedWindows = [];
+  (sceneData.windows || []).forEach(window => {
+    const wall = wallsById.get(window.wallId);
+    const segment = wall && getWallSegments(wall)[window.segmentIndex];
+    if (!segment) {
+      fittedWindows.push(window);
+      return;
+    }
+
+    const segmentLength = length(sub(segment[1], segment[0]));
+    const margin = window.width / 2 + wall.thickness / 2;
+    if (segmentLength < margin * 2) {
+      adjustments.push({
+        type: 'window',
+        id: window.id,
+        action: 'dropped',
+        reason: 'Wall segment is too short for the window'
+      });
+      return;
+    }
+
+    const fitted = { ...window, t: round(clamp(window.t, margin / segmentLength, 1 - margin / segmentLength)) };
+    if (Math.abs(fitted.t - window.t) * segmentLength > TOLERANCE) {
+      adjustments.push({
+        type: 'window',
+        id: window.id,
+        action: 'moved',
+        reason: 'Kept clear of the wall ends',
+        from: { t: window.t },
+        to: { t: fitted.t }
+      });
+    }
+
+    if (fitted.sill + fitted.height > wall.height) {
+      fitted.sill = round(Math.max(wall.height - fitted.height, 0));
+      fitted.height = round(Math.min(fitted.height, wall.height - fitted.sill));
+      if (fitted.height < MIN_WINDOW_HEIGHT) {
+        adjustments.push({
+          type: 'window',
+          id: window.id,
+          action: 'dropped',
+          reason: 'Wall is too low for the window'
+        });
+        return;
+      }
+      adjustments.push({
+        type: 'window',
+        id: window.id,
+        action: 'lowered',
+        reason: 'Kept below the wall height',
+        from: { sill: window.sill, height: window.height },
+        to: { sill: fitted.sill, height: fitted.height }
+      });
+    }
+    fittedWindows.push(fitted);
+  });
+
+  // Furniture, kept inside the inner faces of the outermost walls
+  const halfThickness = walls.reduce((max, wall) => Math.max(max, (wall.thickness || 0) / 2), 0);
+  const fittedBounds = fittedWalls.length > 0
+    ? boundsOf(fittedWalls.flatMap(wall => wall.points))
+    : null;
+  const room = fittedBounds && {
+    minX: fittedBounds.minX + halfThickness,
+    minY: fittedBounds.minY + halfThickness,
+    maxX: fittedBounds.maxX - halfThickness,
+    maxY: fittedBounds.maxY - halfThickness
+  };
+
+  const fittedFurniture = [];
+  (sceneData.furniture || []).forEach((item, index) => {
+    const reference = { type: 'furniture', index, furnitureId: item.furnitureId || null };
+    const position = { x: item.position.x, y: item.position.z };
+    let moved = stretch(position);
+    let rotationY = item.rotation.y;
+
+    const nearest = findNearestSegment(walls, position);
+    if (nearest) {
+      const before = getWallSegments(walls[nearest.wallIndex])[nearest.segmentIndex];
+      const after = getWallSegments(fittedWalls[nearest.wallIndex])[nearest.segmentIndex];
+      moved = fromSegmentFrame(after, toSegmentFrame(before, position));
+      // A plan turn of φ is a rotation of -φ about the world y axis
+      rotationY -= segmentAngle(after) - segmentAngle(before);
+    }
+
+    const fitted = {
+      ...item,
+      position: { ...item.position, x: round(moved.x), z: round(moved.y) },
+      rotation: { ...item.rotation, y: rotationY }
+    };
+    const catalogItem = item.furnitureId ? furnitureById.get(item.furnitureId.toString()) : null;
+
+    if (room) {
+      const footprint = boundsOf(getFurnitureFootprint(fitted, catalogItem).corners);
+      if (footprint.maxX - footprint.minX > room.maxX - room.minX + TOLERANCE ||
+          footprint.maxY - footprint.minY > room.maxY - room.minY + TOLERANCE) {
+        adjustments.push({ ...reference, action: 'dropped', reason: 'Larger than the room' });
+        return;
+      }
+      // Push overhanging pieces back inside
+      const shiftX = Math.max(room.minX - footprint.minX, 0) - Math.max(footprint.maxX - room.maxX, 0);
+      const shiftY = Math.max(room.minY - footprint.minY, 0) - Math.max(footprint.maxY - room.maxY, 0);
+      fitted.position.x = round(fitted.position.x + shiftX);
+      fitted.position.z = round(fitted.position.z + shiftY);
+    }
+
+    const distance = Math.hypot(fitted.position.x - item.position.x, fitted.position.z - item.position.z);
+    if (distance > TOLERANCE) {
+      adjustments.push({
+        ...reference,
+        action: 'moved',
+        reason: nearest ? `Kept in place relative to wall ${walls[nearest.wallIndex].id}` : 'Scaled with the room',
+        from: { x: item.position.x, z: item.position.z },
+        to: { x: fitted.position.x, z: fitted.position.z }
+      });
+    }
+    if (Math.abs(rotationY - item.rotation.y) > 1e-3) {
+      adjustments.push({
+        ...reference,
+        action: 'rotated',
+        reason: 'Turned with its wall',
+        from: { y: item.rotation.y },
+        to: { y: rotationY }
+      });
+    }
+    fittedFurniture.push(fitted);
+  });
+
+  return {
+    sceneData: {
+      ...sceneData,
+      walls: fittedWalls,
+      windows: fittedWindows,
+      furniture: fittedFurniture
+    },
+    roomSize: {
+      width: target.width,
+      depth: target.depth,
+      height: target.height !== undefined ? target.height : round(toMeters(roomSize.height, templateUnit) / toMeters(1, targetUnit)),
+      unit: targetUnit
+    },
+    scale: { x: round(scale.x), y: round(scale.y), z: round(scale.z) },
+    adjustments
+  };
+};
+
+module.exports = {
+  fitSceneToRoom
+};
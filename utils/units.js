@@ -0,0 +1,64 @@
+// Length units used by Furniture.dimensions and Template.roomSize
+const METERS_PER_UNIT = {
+  m: 1,
+  cm: 0.01,
+  in: 0.0254,
+  ft: 0.3048
+};
+
+// Convert a length between any two supported units
+const convertLength = (value, from = 'm', to = 'm') => {
+  if (!METERS_PER_UNIT[from] || !METERS_PER_UNIT[to]) {
+    throw new Error(`Unsupported length unit: ${METERS_PER_UNIT[from] ? to : from}`);
+  }
+  return (value * METERS_PER_UNIT[from]) / METERS_PER_UNIT[to];
+};
+
+const toMeters = (value, unit = 'm') => convertLength(value, unit, 'm');
+
+// Furniture width/height/depth in meters
+const dimensionsInMeters = (dimensions) => {
+  const unit = (dimensions && dimensions.unit) || 'cm';
+  return {
+    width: toMeters(dimensions.width, unit),
+    height: toMeters(dimensions.height, unit),
+    depth: toMeters(dimensions.depth, unit)
+  };
+};
+
+// Furniture width/height/depth in centimeters, rounded to 0.01 cm
+const dimensionsInCm = (dimensions) => {
+  const meters = dimensionsInMeters(dimensions);
+  const toCm = (value) => Math.round(value * 10000) / 100;
+  return { width: toCm(meters.width), height: toCm(meters.height), depth: toCm(meters.depth) };
+};
+
+// Format a length in meters for a User.preferences.units system
+// (metric: "3.45 m", imperial: "11' 4\"")
+const formatLength = (meters, system = 'metric') => {
+  if (system === 'imperial') {
+    const totalInches = Math.round(meters / METERS_PER_UNIT.in);
+    const feet = Math.floor(totalInches / 12);
+    const inches = totalInches % 12;
+    return feet > 0 ? `${feet}' ${inches}"` : `${inches}"`;
+  }
+  return meters < 1 ? `${Math.round(meters * 100)} cm` : `${meters.toFixed(2)} m`;
+};
+
+// Format an area in square meters for a units system
+const formatArea = (squareMeters, system = 'metric') => {
+  if (system === 'imperial') {
+    return `${(squareMeters / (METERS_PER_UNIT.ft * METERS_PER_UNIT.ft)).toFixed(1)} ft²`;
+  }
+  return `${squareMeters.toFixed(2)} m²`;
+};
+
+module.exports = {
+  METERS_PER_UNIT,
+  convertLength,
+  toMeters,
+  dimensionsInMeters,
+  dimensionsInCm,
+  formatLength,
+  formatArea
+};